@@ -2,26 +2,96 @@
 
 import { loadAll } from "./data.js";
 import {
-  getSunPosition, getZodiacConstellation, getTropicalSign, CONSTELLATION_NAMES,
-  getMoon, getPlanetPosition, getNorthNode, getLilith, getChiron, getSolarAltAz
+  setConstellationBounds, AYANAMSAS, BODY_KEYS, POINT_KEYS, ALMANAC_KEYS,
+  getPrecessionMatrix, rotateRaDec, getMagnitude,
+  getSunPosition, getConstellation, signFromLongitude, getSignAgreementSpans,
+  CONSTELLATION_NAMES, setOrbitalElements, STATION_KEYS, motionState, TWILIGHTS
 } from "./astronomy.js";
-import { drawStarMap } from "./rendering.js";
+import {
+  PLANETS, SPECIALS, LUMINARIES, PROJECTIONS, OVERLAYS
+} from "./rendering.js";
+import { MONTHS, formatYear } from "./scene.js";
+import { createRenderer } from "./renderer.js";
+import { createPlayback } from "./playback.js";
+import { describePoint, HOUSE_SYSTEMS } from "./houses.js";
+import { ASPECTS } from "./aspects.js";
 
 // ─── State ──────────────────────────────────────────────────────────────────
-let starData, constData, canvas, ctx, currentDate;
+let starData, constData, canvas, renderer, currentDate;
 let lat = 60.17, lon = 24.94;
 let locationName = "Helsinki, Finland";
 
-const PLANET_KEYS = ["mercury","venus","mars","jupiter","saturn","uranus","neptune"];
+// Comparison systems: which cards to show, and the sidereal ayanamsa
+let compareMode = "tropical";          // "tropical" | "sidereal" | "all"
+let ayanamsa = "lahiri", customAyanamsa = 24;
+
+// Year currently shown in the ingress calendar
+let calendarYear = null;
+
+// Precession time machine: playback controller while active, the birthday it
+// holds fixed, and the year spans in which tropical and real signs agree
+let timeMachine = null, tmBase = null, tmSpans = [];
+const TM_FROM = -12000, TM_TO = 14000;   // one full ~26,000-year cycle
+
+// Birth chart house system
+let houseSystem = "placidus";
+
+// Lunar node and Lilith: osculating ("true") or mean elements
+let nodeMode = "true";
+
+// Aspect grid: orb multiplier applied to the default orbs, and minor aspects
+let orbScale = 1, showMinorAspects = true;
+
+// Canvas view: star map or chart wheel, and the wheel's zodiac ring
+let view = "sky";                      // "sky" | "chart"
+let wheelZodiac = "tropical";          // "tropical" | "iau"
+
+// Star map camera. "sun" keeps the Sun centred and dragging scrubs time;
+// "free" (center in RA/Dec of date) and "horizon" (center in azimuth and
+// altitude, the local sky over the birthplace) pan on drag instead.
+let cameraMode = "sun";                // "sun" | "free" | "horizon"
+let cameraCenter = null;               // {lon, lat}, degrees
+let projection = "stereographic", zoom = 1;
+const ZOOM_MIN = 0.3, ZOOM_MAX = 12;
+
+// Reference lines drawn on the star map (keys of OVERLAYS)
+let overlays = new Set(["ecliptic"]);
+
+// Constellation name labels on the star map
+let constLabels = "none";              // "none" | "abbr" | "full"
+
+// What the star map last drew, for hover/tap tooltips, and whether the
+// tooltip was pinned by a click
+let mapHits = [], tipPinned = false;
+
+// Planet trails on the star map: half-window in months (0 = off)
+let trailMonths = 0;
+
+// Bodies the user can switch on and off; the rest are always shown
+const OPTIONAL_BODIES = ["pluto","ceres","pallas","juno","vesta"];
+let shownBodies = new Set(["pluto"]);
+const isShown = key => !OPTIONAL_BODIES.includes(key) || shownBodies.has(key);
+
+// Pluto, Chiron and the asteroids have no position outside the dates their
+// models cover (see modelCovers)
+const NOT_AVAILABLE = `<span title="Outside the dates this body's model covers">n/a</span>`;
+
+// Label/glyph/color for any chart point
+const pointDef = key => LUMINARIES[key] || PLANETS[key] || SPECIALS[key];
 
 // ─── Init ───────────────────────────────────────────────────────────────────
 document.addEventListener("DOMContentLoaded", async () => {
   buildStarmap();
   buildComparison();
+  buildCalendar();
+  buildPremium();
 
   const data = await loadAll();
   starData  = data.stars;
   constData = data.constellations;
+  setConstellationBounds(data.bounds);
+  setOrbitalElements(data.orbits);
+  renderer.setCatalog(data);
 
   currentDate = new Date();
   updateDateInputs();
@@ -59,7 +129,7 @@ function buildStarmap() {
         transition: background 0.15s, color 0.15s; font-family: 'Zain', sans-serif;
       }
       .smc-btn:hover { background: rgba(212,175,55,0.22); color: #d4af37; }
-      .smc-btn-wide { width: 50px; }
+      .smc-btn-wide { width: 62px; }
       .smc-btn-t { border-radius: 5px 5px 0 0; }
       .smc-btn-b { border-radius: 0 0 5px 5px; }
       .smc-input {
@@ -69,7 +139,7 @@ function buildStarmap() {
         text-align: center; font-size: 13px; font-family: 'Zain', sans-serif;
       }
       .smc-input:focus { outline: none; background: rgba(212,175,55,0.06); }
-      .smc-input-wide { width: 50px; }
+      .smc-input-wide { width: 62px; }
       .smc-div { width: 1px; height: 58px; background: rgba(212,175,55,0.1); flex-shrink: 0; }
       .smc-loc-wrap { position: relative; }
       .smc-loc-input {
@@ -101,6 +171,51 @@ function buildStarmap() {
       }
       .smc-action-btn:hover { background: rgba(212,175,55,0.2); }
 
+      .tm-bar { display: none; gap: 14px; width: 720px; }
+      .tm-play { width: 36px; padding: 0; font-size: 14px; }
+      .tm-select {
+        height: 28px; background: rgba(255,255,255,0.04); color: #f4e4b7;
+        border: 1px solid rgba(212,175,55,0.25); border-radius: 7px;
+        padding: 0 6px; font-size: 12px; font-family: 'Zain', sans-serif;
+      }
+      .tm-select option { background: #0e0e1c; }
+      .tm-scrub { position: relative; flex: 1; height: 28px; display: flex; align-items: center; }
+      .tm-marks { position: absolute; left: 0; right: 0; top: 50%; height: 6px; transform: translateY(-50%); pointer-events: none; }
+      .tm-mark { position: absolute; top: 0; height: 100%; background: rgba(212,175,55,0.55); border-radius: 3px; }
+      .tm-birth { position: absolute; top: -4px; width: 2px; height: 14px; background: #7de8e8; }
+      .tm-range { position: relative; width: 100%; accent-color: #d4af37; background: transparent; }
+      .tm-year {
+        min-width: 74px; text-align: right; color: #f4e4b7;
+        font-size: 15px; font-family: 'Zain', sans-serif;
+      }
+      .tm-hud {
+        position: absolute; top: 16px; left: 16px; display: none;
+        background: rgba(8,8,18,0.85); border: 1px solid rgba(212,175,55,0.18);
+        border-radius: 10px; padding: 10px 14px; font-family: 'Zain', sans-serif;
+        color: #f4e4b7; font-size: 13px; line-height: 1.5; pointer-events: none;
+      }
+      .tm-hud-year { font-size: 22px; color: #d4af37; }
+      .tm-hud-agree { color: #7de8e8; }
+      .tm-hud-last { color: rgba(244,228,183,0.6); font-size: 12px; }
+
+      .smc-view {
+        position: absolute; top: 16px; right: 16px; display: flex; gap: 6px;
+        background: rgba(8,8,18,0.85); border: 1px solid rgba(212,175,55,0.18);
+        border-radius: 10px; padding: 6px;
+        flex-wrap: wrap; justify-content: flex-end; max-width: 560px;
+      }
+      .smc-overlays { display: flex; gap: 4px; flex-basis: 100%; justify-content: flex-end; }
+      .smc-overlays .smc-action-btn { height: 22px; padding: 0 8px; font-size: 11px; }
+      .smc-tip {
+        position: absolute; display: none; pointer-events: none; z-index: 11;
+        background: rgba(8,8,18,0.92); border: 1px solid rgba(212,175,55,0.25);
+        border-radius: 8px; padding: 8px 10px; max-width: 240px;
+        color: rgba(244,228,183,0.75); font-size: 12px; line-height: 1.45;
+        font-family: 'Zain', sans-serif;
+      }
+      .smc-tip-title { color: #f4e4b7; font-size: 14px; }
+      .smc-view-btn.active { background: rgba(212,175,55,0.28); color: #f4e4b7; }
+
       @media (max-width: 620px) {
         .smc-bar {
           flex-wrap: wrap;
@@ -120,8 +235,9 @@ function buildStarmap() {
 
     <div style="position:relative; width:100%; height:80vh; min-height:500px;">
       <canvas id="starmap-canvas" style="width:100%; height:100%; border-radius:12px; background:#0a0a14; cursor:grab;"></canvas>
+      <div class="smc-tip" id="smc-tip"></div>
 
-      <div class="smc-bar">
+      <div class="smc-bar" id="smc-main">
 
         <!-- DATE -->
         <div class="smc-group">
@@ -184,13 +300,75 @@ function buildStarmap() {
         <div class="smc-actions">
           <button id="btn-locate" class="smc-action-btn">⦿ Locate</button>
           <button id="btn-now" class="smc-action-btn">⏱ Now</button>
+          <button id="btn-precession" class="smc-action-btn">⟲ Precession</button>
         </div>
 
       </div>
+
+      <!-- VIEW SWITCH -->
+      <div class="smc-view" id="smc-view">
+        <button id="view-sky" class="smc-action-btn smc-view-btn active">✦ Sky</button>
+        <button id="view-chart" class="smc-action-btn smc-view-btn">◎ Chart</button>
+        <select id="sky-mode" class="tm-select" title="Sky view">
+          <option value="sun">Sun at centre</option>
+          <option value="free">Free look</option>
+          <option value="0">Horizon · facing N</option>
+          <option value="90">Horizon · facing E</option>
+          <option value="180">Horizon · facing S</option>
+          <option value="270">Horizon · facing W</option>
+        </select>
+        <select id="sky-projection" class="tm-select" title="Projection">
+          ${Object.entries(PROJECTIONS).map(([k, name]) => `<option value="${k}">${name}</option>`).join('')}
+        </select>
+        <select id="trail-months" class="tm-select" title="Planet trails">
+          <option value="0">No trails</option>
+          <option value="1">Trails ±1 month</option>
+          <option value="3">Trails ±3 months</option>
+          <option value="6">Trails ±6 months</option>
+          <option value="12">Trails ±12 months</option>
+        </select>
+        <select id="wheel-zodiac" class="tm-select" title="Zodiac ring" style="display:none">
+          <option value="tropical">Tropical signs</option>
+          <option value="iau">IAU constellations</option>
+        </select>
+        <button id="btn-export" class="smc-action-btn" style="display:none">⤓ Export PNG</button>
+        <div class="smc-overlays" id="smc-overlays">
+          ${Object.entries(OVERLAYS).map(([k, name]) =>
+            `<button class="smc-action-btn smc-view-btn${overlays.has(k) ? ' active' : ''}" data-overlay="${k}">${name}</button>`).join('')}
+          <select id="const-labels" class="tm-select" title="Constellation names">
+            <option value="none">No names</option>
+            <option value="abbr">Abbreviations</option>
+            <option value="full">Full names</option>
+          </select>
+        </div>
+      </div>
+
+      <!-- PRECESSION TIME MACHINE -->
+      <div class="tm-hud" id="tm-hud">
+        <div class="tm-hud-year" id="tm-hud-year"></div>
+        <div id="tm-hud-signs"></div>
+        <div class="tm-hud-last" id="tm-hud-last"></div>
+      </div>
+
+      <div class="smc-bar tm-bar" id="tm-bar">
+        <button id="tm-play" class="smc-action-btn tm-play">❚❚</button>
+        <select id="tm-speed" class="tm-select" title="Years per second">
+          <option value="50">50 y/s</option>
+          <option value="250" selected>250 y/s</option>
+          <option value="1000">1000 y/s</option>
+          <option value="3000">3000 y/s</option>
+        </select>
+        <div class="tm-scrub">
+          <div class="tm-marks" id="tm-marks"></div>
+          <input type="range" id="tm-range" class="tm-range" min="${TM_FROM}" max="${TM_TO}" step="1">
+        </div>
+        <span class="tm-year" id="tm-year"></span>
+        <button id="tm-exit" class="smc-action-btn">✕ Exit</button>
+      </div>
     </div>`;
 
   canvas = document.getElementById("starmap-canvas");
-  ctx = canvas.getContext("2d");
+  renderer = createRenderer(canvas, onDrawn, onPanels);
   resizeCanvas();
   window.addEventListener("resize", resizeCanvas);
 
@@ -223,10 +401,117 @@ function buildStarmap() {
   document.getElementById("btn-locate").addEventListener("click", onLocate);
   document.getElementById("btn-now").addEventListener("click", setNow);
 
+  // Precession time machine
+  document.getElementById("btn-precession").addEventListener("click", enterTimeMachine);
+  document.getElementById("tm-exit").addEventListener("click", exitTimeMachine);
+  document.getElementById("tm-play").addEventListener("click", () => {
+    timeMachine.toggle();
+    document.getElementById("tm-play").textContent = timeMachine.playing ? "❚❚" : "▶";
+  });
+  document.getElementById("tm-speed").addEventListener("change", e => {
+    timeMachine.setSpeed(+e.target.value);
+  });
+  document.getElementById("tm-range").addEventListener("input", e => {
+    timeMachine.seek(+e.target.value);
+  });
+
+  // Sky / chart view
+  document.getElementById("view-sky").addEventListener("click",   () => setView("sky"));
+  document.getElementById("view-chart").addEventListener("click", () => setView("chart"));
+  document.getElementById("wheel-zodiac").addEventListener("change", e => {
+    wheelZodiac = e.target.value;
+    update();
+  });
+  document.getElementById("btn-export").addEventListener("click", exportChart);
+  document.getElementById("sky-mode").addEventListener("change", e => {
+    setCamera(e.target.value);
+    update();
+  });
+  document.getElementById("sky-projection").addEventListener("change", e => {
+    projection = e.target.value;
+    update();
+  });
+  document.getElementById("const-labels").addEventListener("change", e => {
+    constLabels = e.target.value;
+    update();
+  });
+  document.querySelectorAll("#smc-overlays [data-overlay]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const key = btn.dataset.overlay;
+      if (overlays.has(key)) overlays.delete(key);
+      else                   overlays.add(key);
+      btn.classList.toggle("active", overlays.has(key));
+      update();
+    });
+  });
+  document.getElementById("trail-months").addEventListener("change", e => {
+    trailMonths = +e.target.value;
+    update();
+  });
+
   // Dragging
   setupDrag();
 }
 
+// ─── Sky / chart view ──────────────────────────────────────────────────────
+function setView(v) {
+  view = v;
+  hideTip();
+  const chart = v === "chart";
+  document.getElementById("view-sky").classList.toggle("active", !chart);
+  document.getElementById("view-chart").classList.toggle("active", chart);
+  document.getElementById("wheel-zodiac").style.display = chart ? "" : "none";
+  document.getElementById("trail-months").style.display = chart ? "none" : "";
+  document.getElementById("sky-mode").style.display     = chart ? "none" : "";
+  document.getElementById("sky-projection").style.display = chart ? "none" : "";
+  document.getElementById("smc-overlays").style.display   = chart ? "none" : "";
+  document.getElementById("btn-export").style.display   = chart ? "" : "none";
+  update();
+}
+
+// ─── Star map camera ────────────────────────────────────────────────────────
+// Free look starts where the Sun is, so switching modes doesn't jump; horizon
+// views start a little above the horizon at the chosen compass point.
+function setCamera(mode) {
+  if (mode === "sun") {
+    cameraMode = "sun";
+    cameraCenter = null;
+  } else if (mode === "free") {
+    const sun = getSunPosition(currentDate);
+    const eq  = rotateRaDec(getPrecessionMatrix(currentDate), sun.ra, sun.dec);
+    cameraMode = "free";
+    cameraCenter = { lon: eq.ra, lat: eq.dec };
+  } else {
+    cameraMode = "horizon";
+    cameraCenter = { lon: +mode, lat: 15 };
+  }
+}
+
+// Move the center by a screen drag so the sky follows the pointer.
+// Equatorial views are mirrored (east on the left); azimuth is not.
+function panCamera(from, dx, dy) {
+  const degPerPx = 180 / Math.PI / (Math.min(canvas.clientWidth, canvas.clientHeight) * zoom);
+  const dir = cameraMode === "horizon" ? -1 : 1;
+  const lat = Math.max(-89, Math.min(89, from.lat + dy * degPerPx));
+  const lon = from.lon + dir * dx * degPerPx / Math.max(0.2, Math.cos(lat * Math.PI / 180));
+  cameraCenter = { lon: (lon % 360 + 360) % 360, lat };
+}
+
+function setZoom(z) {
+  zoom = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, z));
+  update();
+}
+
+function exportChart() {
+  renderer.toBlob().then(blob => {
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "realzodiac-chart.png";
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }).catch(err => console.error('Chart export error:', err));
+}
+
 // ─── Hold-to-repeat button helper ───────────────────────────────────────────
 function bindHoldButton(id, fn) {
   let holdTimer, repeatTimer;
@@ -260,18 +545,29 @@ function adjustDate(field, dir) {
 function onManualInput() {
   const day = parseInt(document.getElementById("birth-day").value) || 1;
   const month = parseInt(document.getElementById("birth-month").value) || 1;
-  const year = parseInt(document.getElementById("birth-year").value) || 2026;
+  const year = parseYear(document.getElementById("birth-year").value) ?? currentDate.getUTCFullYear();
   const hour = parseInt(document.getElementById("birth-hour").value) || 0;
   const min = parseInt(document.getElementById("birth-min").value) || 0;
   
-  currentDate = new Date(Date.UTC(year, month - 1, day, hour, min));
+  // setUTCFullYear: Date.UTC would map years 0–99 to 19xx
+  const d = new Date(Date.UTC(2000, month - 1, day, hour, min));
+  d.setUTCFullYear(year);
+  currentDate = d;
   update();
 }
 
+// "500 BC" / "500 BCE" → -499 (astronomical numbering); plain numbers as-is
+function parseYear(text) {
+  const bc = text.match(/^\s*(\d+)\s*BCE?\s*$/i);
+  if (bc) return 1 - parseInt(bc[1]);
+  const y = parseInt(text);
+  return isNaN(y) ? null : y;
+}
+
 function updateDateInputs() {
   document.getElementById("birth-day").value = currentDate.getUTCDate();
   document.getElementById("birth-month").value = currentDate.getUTCMonth() + 1;
-  document.getElementById("birth-year").value = currentDate.getUTCFullYear();
+  document.getElementById("birth-year").value = formatYear(currentDate.getUTCFullYear());
   document.getElementById("birth-hour").value = String(currentDate.getUTCHours()).padStart(2, '0');
   document.getElementById("birth-min").value = String(currentDate.getUTCMinutes()).padStart(2, '0');
 }
@@ -343,51 +639,255 @@ function onLocate() {
 // ─── Dragging ───────────────────────────────────────────────────────────────
 function setupDrag() {
   let isDragging = false;
-  let startX = 0;
-  let startDate = null;
-  const MS_PER_PX = 0.1 * 86400000; // 0.1 days per pixel
+  let startX = 0, startY = 0;
+  let startDate = null, startCenter = null;
+  let pinchDist = 0, pinchZoom = 1, moved = false;
+  const MS_PER_PX = 0.1 * 86400000; // 0.1 days per pixel at zoom 1
 
-  canvas.addEventListener("mousedown", (e) => {
+  // Sun-centred sky and the chart scrub time; the other cameras pan
+  const panning = () => view === "sky" && cameraMode !== "sun";
+
+  function dragStart(x, y) {
     isDragging = true;
-    startX = e.clientX;
+    startX = x;
+    startY = y;
     startDate = new Date(currentDate);
+    startCenter = cameraCenter;
+    moved = false;
+  }
+
+  function dragMove(x, y) {
+    const dx = x - startX, dy = y - startY;
+    if (!moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+    if (!moved) hideTip();
+    moved = true;
+    if (panning()) {
+      panCamera(startCenter, dx, dy);
+    } else {
+      // The map is mirrored, so later dates move the stars right under the pointer
+      currentDate = new Date(startDate.getTime() + dx * MS_PER_PX / zoom);
+      updateDateInputs();
+    }
+    update();
+  }
+
+  canvas.addEventListener("mousedown", (e) => {
+    if (timeMachine) return;
+    dragStart(e.clientX, e.clientY);
     canvas.style.cursor = "grabbing";
   });
 
   window.addEventListener("mousemove", (e) => {
-    if (!isDragging) return;
-    const dx = e.clientX - startX;
-    currentDate = new Date(startDate.getTime() - dx * MS_PER_PX);
-    updateDateInputs();
-    update();
+    if (isDragging) dragMove(e.clientX, e.clientY);
+    else if (e.target === canvas && !tipPinned) showTip(e.clientX, e.clientY);
   });
 
-  window.addEventListener("mouseup", () => {
+  window.addEventListener("mouseup", (e) => {
+    // A click that didn't drag pins (or clears) the tooltip
+    if (isDragging && !moved) showTip(e.clientX, e.clientY, true);
     isDragging = false;
     canvas.style.cursor = "grab";
   });
 
-  // Touch support
+  canvas.addEventListener("mouseleave", () => {
+    if (!tipPinned) hideTip();
+  });
+
+  // Mouse-wheel zoom on the star map
+  canvas.addEventListener("wheel", (e) => {
+    if (timeMachine || view !== "sky") return;
+    e.preventDefault();
+    setZoom(zoom * Math.exp(-e.deltaY * 0.0015));
+  }, { passive: false });
+
+  // Touch support: one finger drags, two pinch-zoom
+  const touchDist = t => Math.hypot(t[0].clientX - t[1].clientX, t[0].clientY - t[1].clientY);
+
   canvas.addEventListener("touchstart", (e) => {
-    isDragging = true;
-    startX = e.touches[0].clientX;
-    startDate = new Date(currentDate);
+    if (timeMachine) return;
+    if (e.touches.length === 2 && view === "sky") {
+      isDragging = false;
+      pinchDist = touchDist(e.touches);
+      pinchZoom = zoom;
+    } else {
+      dragStart(e.touches[0].clientX, e.touches[0].clientY);
+    }
   });
 
   canvas.addEventListener("touchmove", (e) => {
-    if (!isDragging) return;
-    const dx = e.touches[0].clientX - startX;
-    currentDate = new Date(startDate.getTime() - dx * MS_PER_PX);
-    updateDateInputs();
-    update();
+    if (pinchDist && e.touches.length === 2) {
+      setZoom(pinchZoom * touchDist(e.touches) / pinchDist);
+    } else if (isDragging) {
+      dragMove(e.touches[0].clientX, e.touches[0].clientY);
+    } else {
+      return;
+    }
     e.preventDefault();
   });
 
   canvas.addEventListener("touchend", () => {
+    if (isDragging && !moved) showTip(startX, startY, true);
     isDragging = false;
+    pinchDist = 0;
   });
 }
 
+// ─── Star map tooltips ──────────────────────────────────────────────────────
+// The renderer reports what each frame drew; the nearest object under the
+// pointer wins, bodies ahead of the stars they sit on.
+function hitAt(x, y) {
+  let best = null, bestScore = Infinity;
+  mapHits.forEach(h => {
+    const d = Math.hypot(h.x - x, h.y - y);
+    if (d > Math.max(h.r, 5) + 3) return;
+    const score = h.key ? d - 6 : d;
+    if (score < bestScore) { best = h; bestScore = score; }
+  });
+  return best;
+}
+
+function showTip(clientX, clientY, pin = false) {
+  const rect = canvas.getBoundingClientRect();
+  const x = clientX - rect.left, y = clientY - rect.top;
+  const hit = view === "sky" && !timeMachine ? hitAt(x, y) : null;
+  if (pin) tipPinned = !!hit;
+  if (!hit) return hideTip();
+
+  const tip = document.getElementById("smc-tip");
+  tip.innerHTML = describeHit(hit);
+  tip.style.display = "block";
+  // Beside the pointer, kept inside the map
+  tip.style.left = `${Math.max(8, Math.min(x + 14, rect.width  - tip.offsetWidth  - 8))}px`;
+  tip.style.top  = `${Math.max(8, Math.min(y + 14, rect.height - tip.offsetHeight - 8))}px`;
+}
+
+function hideTip() {
+  tipPinned = false;
+  document.getElementById("smc-tip").style.display = "none";
+}
+
+// Name, catalog ids, magnitude and color index, J2000 position, constellation
+function describeHit(hit) {
+  const lines = [];
+  let title;
+  if (hit.star) {
+    const s = hit.star;
+    title = s.name || s.desig || `HIP ${s.hip}`;
+    if (s.name && s.desig) lines.push(s.desig);
+    lines.push(s.hd ? `HIP ${s.hip} · HD ${s.hd}` : `HIP ${s.hip}`);
+    const bv = s.bv === undefined || s.bv === '' ? '' : ` · B−V ${(+s.bv).toFixed(2)}`;
+    lines.push(`Magnitude ${s.mag.toFixed(2)}${bv}`);
+  } else {
+    const def = pointDef(hit.key);
+    title = `${def.symbol} ${def.name}`;
+    const mag = getMagnitude(hit.key, currentDate);
+    if (mag !== null) lines.push(`Magnitude ${mag.toFixed(1)}`);
+  }
+
+  const ra = formatDegree((((hit.ra % 360) + 360) % 360) / 15).replace('°', 'h ').replace('′', 'm');
+  const dec = `${hit.dec < 0 ? '−' : '+'}${formatDegree(Math.abs(hit.dec))}`;
+  lines.push(`RA ${ra} · Dec ${dec} (J2000)`);
+  const c = CONSTELLATION_NAMES[getConstellation(hit.ra, hit.dec)];
+  if (c) lines.push(`In ${c.name}`);
+
+  return `<div class="smc-tip-title">${title}</div>` + lines.map(l => `<div>${l}</div>`).join('');
+}
+
+// ─── UTC date formatting ("Sep 22 18:19") ─────────────────────────────────
+function formatUTC(d, withYear = false) {
+  if (!d) return '—';
+  const hh = String(d.getUTCHours()).padStart(2, '0');
+  const mm = String(d.getUTCMinutes()).padStart(2, '0');
+  const yy = withYear ? ` ${formatYear(d.getUTCFullYear())}` : '';
+  return `${MONTHS[d.getUTCMonth()]} ${d.getUTCDate()}${yy} ${hh}:${mm}`;
+}
+
+// ─── Precession time machine ───────────────────────────────────────────────
+// Holds the current calendar date and time fixed while the years run, so the
+// Sun slides against the stars as the equinox precesses.
+function enterTimeMachine() {
+  if (timeMachine || !starData) return;
+  if (view === "chart") setView("sky");
+  hideTip();
+  tmBase  = new Date(currentDate);
+  tmSpans = getSignAgreementSpans(tmBase, TM_FROM, TM_TO);
+  const birthYear = tmBase.getUTCFullYear();
+
+  // Agreement spans and the birth year as marks on the scrub track
+  const pct = y => ((y - TM_FROM) / (TM_TO - TM_FROM) * 100).toFixed(2);
+  document.getElementById("tm-marks").innerHTML =
+    tmSpans.map(sp => `<div class="tm-mark" style="left:${pct(sp.from)}%; width:${Math.max(0.3, pct(sp.to) - pct(sp.from))}%"></div>`).join('') +
+    `<div class="tm-birth" style="left:${pct(birthYear)}%"></div>`;
+
+  document.getElementById("tm-hud-last").textContent = describeAgreement(birthYear);
+  document.getElementById("smc-main").style.display = "none";
+  document.getElementById("smc-view").style.display = "none";
+  document.getElementById("tm-bar").style.display   = "flex";
+  document.getElementById("tm-hud").style.display   = "block";
+  document.getElementById("tm-play").textContent    = "❚❚";
+
+  timeMachine = createPlayback({
+    from: TM_FROM, to: TM_TO, start: birthYear,
+    speed: +document.getElementById("tm-speed").value,
+    onFrame: drawTimeMachine
+  });
+  timeMachine.play();
+}
+
+function exitTimeMachine() {
+  if (!timeMachine) return;
+  timeMachine.pause();
+  timeMachine = null;
+  document.getElementById("smc-main").style.display = "";
+  document.getElementById("smc-view").style.display = "";
+  document.getElementById("tm-bar").style.display   = "none";
+  document.getElementById("tm-hud").style.display   = "none";
+  update();
+}
+
+// "Signs last agreed: 650 BC – 1900 (Leo)" relative to the birth year
+function describeAgreement(birthYear) {
+  const span = (sp, verb) =>
+    `${verb}: ${formatYear(sp.from)} – ${formatYear(sp.to)} (${sp.sign})`;
+  const now  = tmSpans.find(sp => sp.from <= birthYear && birthYear <= sp.to);
+  if (now) return span(now, "Signs agree in this era");
+  const last = tmSpans.filter(sp => sp.to < birthYear).pop();
+  if (last) return span(last, "Signs last agreed");
+  const next = tmSpans.find(sp => sp.from > birthYear);
+  return next ? span(next, "Signs next agree") : "Signs never agree on this date";
+}
+
+function drawTimeMachine(pos) {
+  const year = Math.round(pos);
+  const d = new Date(tmBase);
+  d.setUTCFullYear(year);
+
+  renderer.draw({
+    kind: "precession",
+    time: d.getTime(),
+    camera: { projection, zoom },
+    overlays: [...overlays],
+    constLabels
+  });
+
+  document.getElementById("tm-year").textContent  = formatYear(year);
+  document.getElementById("tm-range").value = year;
+}
+
+// The frame's Sun, from the renderer
+function renderTimeMachineHud({ time, sun, constId }) {
+  const d    = new Date(time);
+  const c    = CONSTELLATION_NAMES[constId];
+  const sign = signFromLongitude(sun.lon);
+
+  const agree = sign.name === c.common;
+  document.getElementById("tm-hud-year").textContent =
+    `${MONTHS[d.getUTCMonth()]} ${d.getUTCDate()}, ${formatYear(d.getUTCFullYear())}`;
+  document.getElementById("tm-hud-signs").innerHTML =
+    `Tropical: ${sign.symbol} ${sign.name} · Sun in: ${c.symbol} ${c.name}` +
+    (agree ? ` <span class="tm-hud-agree">✓ agree</span>` : '');
+}
+
 // ─── Sign name → cathedral filename ─────────────────────────────────────────
 function signToCathedral(name) {
   if (name.toLowerCase() === 'capricorn') return 'capricornus';
@@ -401,6 +901,34 @@ function buildComparison() {
 
   ph.innerHTML = `
     <style>
+      .cmp-outer { display: flex; flex-direction: column; align-items: center; width: 100%; }
+      .cmp-controls {
+        display: flex; flex-wrap: wrap; align-items: center; justify-content: center;
+        gap: 10px; font-family: 'Zain', sans-serif;
+      }
+      .cmp-select, .cmp-num {
+        height: 30px; background: rgba(255,255,255,0.04); color: #f4e4b7;
+        border: 1px solid rgba(212,175,55,0.25); border-radius: 7px;
+        padding: 0 10px; font-size: 13px; font-family: 'Zain', sans-serif;
+      }
+      .cmp-select option { background: #0e0e1c; }
+      .cmp-num { width: 80px; }
+      .cmp-select:focus, .cmp-num:focus { outline: none; border-color: rgba(212,175,55,0.5); }
+      .cmp-kind {
+        font-size: 11px;
+        text-transform: uppercase;
+        letter-spacing: 1.5px;
+        margin-bottom: 4px;
+        font-family: 'Zain', sans-serif;
+      }
+      .astro-old .cmp-kind { color: rgba(200,183,148,0.55); }
+      .cmp-range {
+        font-size: 12px;
+        color: rgba(200,183,148,0.6);
+        margin: -4px 0 10px;
+        font-family: 'Zain', sans-serif;
+      }
+      .astro-real .cmp-kind { color: rgba(212,175,55,0.75); }
       .cmp-wrap {
         display: flex;
         flex-direction: column;
@@ -506,6 +1034,39 @@ function buildComparison() {
         filter: invert(76%) sepia(54%) saturate(438%) hue-rotate(5deg) brightness(98%);
         opacity: 0.88;
       }
+      .cmp-placements {
+        width: 100%;
+        max-width: 345px;
+        margin-top: 36px;
+        font-family: 'Zain', sans-serif;
+      }
+      .cmp-placements-title {
+        font-size: 11px;
+        color: rgba(212,175,55,0.55);
+        text-transform: uppercase;
+        letter-spacing: 1.5px;
+        text-align: center;
+        margin-bottom: 10px;
+      }
+      .cmp-table { width: 100%; border-collapse: collapse; font-size: 15px; }
+      .cmp-table td {
+        padding: 6px 8px;
+        border-bottom: 1px solid rgba(212,175,55,0.1);
+        color: #f4e4b7;
+      }
+      .cmp-table tr:last-child td { border-bottom: none; }
+      .cmp-table .cmp-body { white-space: nowrap; }
+      .cmp-table .cmp-const { text-align: right; }
+      .cmp-off {
+        font-size: 10px;
+        color: rgba(125,232,232,0.8);
+        border: 1px solid rgba(125,232,232,0.3);
+        border-radius: 4px;
+        padding: 0 4px;
+        margin-left: 6px;
+        text-transform: uppercase;
+        letter-spacing: 0.8px;
+      }
       @media (min-width: 640px) {
         .cmp-wrap {
           flex-direction: row;
@@ -526,94 +1087,694 @@ function buildComparison() {
           width: 285px;
           max-width: 285px;
         }
+        .cmp-placements {
+          width: 260px;
+          margin: 0 0 0 36px;
+          align-self: center;
+        }
       }
     </style>
 
+    <div class="cmp-outer">
+    <div class="cmp-controls">
+      <select id="cmp-mode" class="cmp-select">
+        <option value="tropical">Tropical vs Astronomical</option>
+        <option value="sidereal">Sidereal vs Astronomical</option>
+        <option value="all">Tropical vs Sidereal vs Astronomical</option>
+      </select>
+      <select id="cmp-ayanamsa" class="cmp-select">
+        ${Object.entries(AYANAMSAS).map(([id, a]) =>
+          `<option value="${id}">${a.name}</option>`).join('')}
+      </select>
+      <input type="number" id="cmp-ayanamsa-custom" class="cmp-num" step="0.01"
+        value="${customAyanamsa}" title="Ayanamsa at J2000, degrees">
+    </div>
+
     <div class="cmp-wrap">
       <!-- Astrology card (tropical — old, faded, suppressed) -->
       <div class="cmp-card astro-old" id="cmp-astrology">
         <div class="cmp-bg" id="cmp-astrology-bg"></div>
         <div class="cmp-card-inner">
           <div class="cmp-bottom">
+            <div class="cmp-kind">Tropical</div>
             <div id="tropical-name" class="cmp-name">—</div>
+            <div id="tropical-range" class="cmp-range"></div>
             <img id="tropical-svg" class="cmp-svg" src="" alt="">
           </div>
         </div>
       </div>
 
+      <!-- Sidereal card (equal signs shifted by the ayanamsa) -->
+      <div class="cmp-card astro-old" id="cmp-sidereal">
+        <div class="cmp-bg" id="cmp-sidereal-bg"></div>
+        <div class="cmp-card-inner">
+          <div class="cmp-bottom">
+            <div id="sidereal-kind" class="cmp-kind">Sidereal</div>
+            <div id="sidereal-name" class="cmp-name">—</div>
+            <img id="sidereal-svg" class="cmp-svg" src="" alt="">
+          </div>
+        </div>
+      </div>
+
       <!-- Astronomy card (real — dominant, gold-accented) -->
       <div class="cmp-card astro-real" id="cmp-astronomy">
         <div class="cmp-bg" id="cmp-astronomy-bg"></div>
         <div class="cmp-card-inner">
           <div class="cmp-bottom">
+            <div class="cmp-kind">Astronomical</div>
             <div id="astro-name" class="cmp-name">—</div>
             <img id="astro-svg" class="cmp-svg" src="" alt="">
           </div>
         </div>
       </div>
+
+      <!-- Real placements (every body → IAU constellation) -->
+      <div class="cmp-placements">
+        <div class="cmp-placements-title">Real placements</div>
+        <table class="cmp-table"><tbody id="placements-body"></tbody></table>
+      </div>
+    </div>
     </div>`;
+
+  document.getElementById("cmp-mode").addEventListener("change", e => {
+    compareMode = e.target.value;
+    update();
+  });
+  document.getElementById("cmp-ayanamsa").addEventListener("change", e => {
+    ayanamsa = e.target.value;
+    update();
+  });
+  document.getElementById("cmp-ayanamsa-custom").addEventListener("input", e => {
+    const v = parseFloat(e.target.value);
+    if (!isNaN(v)) { customAyanamsa = v; update(); }
+  });
+}
+
+// ─── Real placements table ──────────────────────────────────────────────────
+function renderPlacements(placements) {
+  const tbody = document.getElementById("placements-body");
+  if (!tbody) return;
+
+  tbody.innerHTML = BODY_KEYS.filter(isShown).map(key => {
+    const def = LUMINARIES[key] || PLANETS[key];
+    const p   = placements[key];
+    if (!def) return '';
+    if (!p) return `<tr>
+      <td class="cmp-body" style="color:${def.color}">${def.symbol} ${def.name}</td>
+      <td class="cmp-const">${NOT_AVAILABLE}</td>
+    </tr>`;
+    const c = p.constellation;
+    return `<tr>
+      <td class="cmp-body" style="color:${def.color}">${def.symbol} ${def.name}</td>
+      <td class="cmp-const">${c.symbol ? c.symbol + ' ' : ''}${c.name}${p.zodiac ? '' : '<span class="cmp-off">off-zodiac</span>'}</td>
+    </tr>`;
+  }).join('');
+}
+
+// ─── Build ingress calendar ─────────────────────────────────────────────────
+function buildCalendar() {
+  const ph = document.querySelector("#calendar .placeholder");
+  if (!ph) return;
+
+  ph.innerHTML = `
+    <style>
+      .cal-wrap {
+        width: 100%;
+        max-width: 640px;
+        padding: 0 16px 40px;
+        box-sizing: border-box;
+        font-family: 'Zain', sans-serif;
+      }
+      .cal-caption {
+        font-size: 13px;
+        color: rgba(212,175,55,0.55);
+        text-transform: uppercase;
+        letter-spacing: 1.5px;
+        text-align: center;
+        margin-bottom: 14px;
+      }
+      .cal-table { width: 100%; border-collapse: collapse; font-size: 15px; }
+      .cal-table th {
+        font-size: 10px;
+        font-weight: 400;
+        color: rgba(212,175,55,0.45);
+        text-transform: uppercase;
+        letter-spacing: 1.2px;
+        text-align: left;
+        padding: 0 8px 8px;
+      }
+      .cal-table td {
+        padding: 8px;
+        color: #f4e4b7;
+        border-top: 1px solid rgba(212,175,55,0.1);
+        white-space: nowrap;
+      }
+      .cal-table .cal-days { text-align: right; color: rgba(244,228,183,0.55); }
+      .cal-table tr.cal-now td { background: rgba(212,175,55,0.1); color: #d4af37; }
+    </style>
+
+    <div class="cal-wrap">
+      <div id="cal-caption" class="cal-caption"></div>
+      <table class="cal-table">
+        <thead><tr><th>Constellation</th><th>Sun enters</th><th>Sun leaves</th><th class="cal-days">Days</th></tr></thead>
+        <tbody id="cal-body"></tbody>
+      </table>
+    </div>`;
+}
+
+// Rebuilt only when the year changes; the stay at `time` is re-highlighted
+function renderCalendar({ year, stays }, time) {
+  const tbody = document.getElementById("cal-body");
+  if (!tbody) return;
+
+  if (year !== calendarYear) {
+    calendarYear = year;
+    document.getElementById("cal-caption").textContent = `Sun ingresses · ${formatYear(year)} · UTC`;
+    tbody.innerHTML = stays.map(s => {
+      const days = (s.egress - s.ingress) / 86400000;
+      const c = s.constellation;
+      return `<tr data-from="${s.ingress.getTime()}" data-to="${s.egress.getTime()}">
+        <td>${c.symbol} ${c.name}</td>
+        <td>${formatUTC(s.ingress, s.ingress.getUTCFullYear() !== year)}</td>
+        <td>${formatUTC(s.egress, s.egress.getUTCFullYear() !== year)}</td>
+        <td class="cal-days">${days.toFixed(1)}</td>
+      </tr>`;
+    }).join('');
+  }
+
+  tbody.querySelectorAll("tr").forEach(tr => {
+    tr.classList.toggle("cal-now", +tr.dataset.from <= time && time < +tr.dataset.to);
+  });
+}
+
+// ─── Build birth chart (premium) ────────────────────────────────────────────
+function buildPremium() {
+  const ph = document.querySelector("#premium .placeholder");
+  if (!ph) return;
+
+  ph.innerHTML = `
+    <style>
+      .chart-wrap {
+        width: 100%;
+        max-width: 720px;
+        padding: 0 16px 40px;
+        box-sizing: border-box;
+        font-family: 'Zain', sans-serif;
+      }
+      .chart-controls {
+        display: flex; flex-wrap: wrap; align-items: center; justify-content: center;
+        gap: 12px; margin-bottom: 18px;
+      }
+      .chart-select {
+        height: 30px; background: rgba(255,255,255,0.04); color: #f4e4b7;
+        border: 1px solid rgba(212,175,55,0.25); border-radius: 7px;
+        padding: 0 10px; font-size: 13px; font-family: 'Zain', sans-serif;
+      }
+      .chart-select option { background: #0e0e1c; }
+      .chart-meta { font-size: 13px; color: rgba(244,228,183,0.55); }
+      .chart-bodies { display: flex; flex-wrap: wrap; justify-content: center; gap: 8px; margin-bottom: 18px; }
+      .chart-body {
+        display: flex; align-items: center; gap: 5px; cursor: pointer;
+        height: 28px; padding: 0 10px; border-radius: 7px; font-size: 13px;
+        border: 1px solid rgba(212,175,55,0.18); color: rgba(244,228,183,0.55);
+      }
+      .chart-body input { display: none; }
+      .chart-body:has(input:checked) { border-color: rgba(212,175,55,0.5); color: #f4e4b7; background: rgba(212,175,55,0.08); }
+      .chart-grid { display: flex; flex-wrap: wrap; gap: 28px; justify-content: center; }
+      .chart-block { flex: 1; min-width: 280px; }
+      .chart-caption {
+        font-size: 11px;
+        color: rgba(212,175,55,0.55);
+        text-transform: uppercase;
+        letter-spacing: 1.5px;
+        margin-bottom: 8px;
+      }
+      .chart-table { width: 100%; border-collapse: collapse; font-size: 15px; }
+      .chart-table td {
+        padding: 6px 8px;
+        color: #f4e4b7;
+        border-bottom: 1px solid rgba(212,175,55,0.1);
+        white-space: nowrap;
+      }
+      .chart-table .chart-point { color: #d4af37; }
+      .chart-table .chart-real { text-align: right; color: rgba(244,228,183,0.75); }
+      .chart-note { font-size: 13px; color: rgba(192,112,96,0.9); padding: 8px 0; }
+
+      .asp-block { margin-top: 32px; }
+      .asp-controls { display: flex; align-items: center; gap: 14px; margin-bottom: 10px; font-size: 13px; color: rgba(244,228,183,0.7); }
+      .asp-controls label { display: flex; align-items: center; gap: 6px; cursor: pointer; }
+      .asp-controls input { accent-color: #d4af37; }
+      .asp-scroll { overflow-x: auto; }
+      .asp-grid { border-collapse: collapse; margin: 0 auto; }
+      .asp-grid th { font-size: 16px; font-weight: normal; width: 38px; height: 30px; }
+      .asp-grid td {
+        width: 38px; height: 38px; text-align: center; vertical-align: middle;
+        border: 1px solid rgba(212,175,55,0.14); line-height: 1.05;
+      }
+      .asp-grid td.asp-blank { border: none; }
+      .asp-sym { font-size: 16px; }
+      .asp-orb { display: block; font-size: 10px; color: rgba(244,228,183,0.6); }
+      .asp-legend { margin-top: 8px; font-size: 12px; color: rgba(244,228,183,0.5); text-align: center; }
+      .stn-state { color: rgba(244,228,183,0.75); }
+      .stn-retro { color: #f87171; }
+      .stn-when { font-size: 13px; color: rgba(244,228,183,0.7); }
+
+      .ecl-prenatal { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 14px; }
+      .ecl-card {
+        flex: 1; min-width: 220px; padding: 12px 14px; border-radius: 10px;
+        border: 1px solid rgba(212,175,55,0.2); background: rgba(212,175,55,0.04);
+        color: #f4e4b7; font-size: 14px; line-height: 1.5;
+      }
+      .ecl-card-kind { font-size: 11px; color: rgba(212,175,55,0.6); text-transform: uppercase; letter-spacing: 1.2px; }
+      .ecl-card-type { font-size: 18px; color: #d4af37; }
+      .ecl-vis { color: #7de8e8; }
+      .ecl-novis { color: rgba(244,228,183,0.45); }
+      .ecl-past td { opacity: 0.55; }
+
+      .alm summary {
+        cursor: pointer; list-style: none; font-size: 11px; color: rgba(212,175,55,0.55);
+        text-transform: uppercase; letter-spacing: 1.5px; margin-bottom: 8px;
+      }
+      .alm summary::-webkit-details-marker { display: none; }
+      .alm summary::before { content: "▸ "; }
+      .alm[open] summary::before { content: "▾ "; }
+      .alm-az { font-size: 12px; color: rgba(244,228,183,0.5); }
+      .alm-polar { color: #7de8e8; }
+    </style>
+
+    <div class="chart-wrap">
+      <div class="chart-controls">
+        <select id="chart-system" class="chart-select">
+          ${Object.entries(HOUSE_SYSTEMS).map(([id, name]) =>
+            `<option value="${id}">${name}</option>`).join('')}
+        </select>
+        <select id="chart-nodes" class="chart-select" title="Lunar node and Lilith">
+          <option value="true">True node · osculating Lilith</option>
+          <option value="mean">Mean node · mean Lilith</option>
+        </select>
+        <span id="chart-meta" class="chart-meta"></span>
+      </div>
+      <div class="chart-bodies" id="chart-bodies">
+        ${OPTIONAL_BODIES.map(key => `
+          <label class="chart-body">
+            <input type="checkbox" value="${key}" ${shownBodies.has(key) ? 'checked' : ''}>
+            <span style="color:${PLANETS[key].color}">${PLANETS[key].symbol}</span> ${PLANETS[key].name}
+          </label>`).join('')}
+      </div>
+      <div class="chart-grid">
+        <div class="chart-block">
+          <div class="chart-caption">Angles</div>
+          <table class="chart-table"><tbody id="chart-angles"></tbody></table>
+        </div>
+        <div class="chart-block">
+          <div class="chart-caption">House cusps</div>
+          <table class="chart-table"><tbody id="chart-houses"></tbody></table>
+        </div>
+      </div>
+      <div class="asp-block">
+        <div class="chart-caption">Aspects</div>
+        <div class="asp-controls">
+          <select id="asp-orbs" class="chart-select">
+            <option value="0.5">Tight orbs</option>
+            <option value="1" selected>Standard orbs</option>
+            <option value="1.5">Wide orbs</option>
+          </select>
+          <label><input type="checkbox" id="asp-minor" checked> Minor aspects</label>
+        </div>
+        <div class="asp-scroll"><table class="asp-grid" id="chart-aspects"></table></div>
+        <div class="asp-legend">A applying · S separating · orb from exact</div>
+      </div>
+      <div class="asp-block">
+        <div class="chart-caption">Stations · previous · next</div>
+        <table class="chart-table"><tbody id="chart-stations"></tbody></table>
+      </div>
+      <div class="asp-block">
+        <div class="chart-caption">Moon</div>
+        <div class="chart-grid">
+          <div class="chart-block"><table class="chart-table"><tbody id="chart-moon"></tbody></table></div>
+          <div class="chart-block"><table class="chart-table"><tbody id="chart-quarters"></tbody></table></div>
+        </div>
+      </div>
+      <details class="asp-block alm" id="chart-almanac">
+        <summary>Almanac · rise, transit and set</summary>
+        <div class="chart-meta" id="alm-meta"></div>
+        <table class="chart-table"><tbody id="alm-bodies"></tbody></table>
+        <table class="chart-table" style="margin-top:14px"><tbody id="alm-twilight"></tbody></table>
+      </details>
+      <div class="asp-block">
+        <div class="chart-caption">Prenatal eclipses</div>
+        <div class="ecl-prenatal" id="chart-prenatal"></div>
+        <div class="chart-caption">Eclipses · past year and next two</div>
+        <table class="chart-table"><tbody id="chart-eclipses"></tbody></table>
+      </div>
+    </div>`;
+
+  document.getElementById("chart-system").addEventListener("change", e => {
+    houseSystem = e.target.value;
+    update();
+  });
+  document.getElementById("chart-bodies").addEventListener("change", e => {
+    if (e.target.checked) shownBodies.add(e.target.value);
+    else shownBodies.delete(e.target.value);
+    update();
+  });
+  document.getElementById("chart-almanac").addEventListener("toggle", requestPanels);
+  document.getElementById("chart-nodes").addEventListener("change", e => {
+    nodeMode = e.target.value;
+    update();
+  });
+  document.getElementById("asp-orbs").addEventListener("change", e => {
+    orbScale = +e.target.value;
+    update();
+  });
+  document.getElementById("asp-minor").addEventListener("change", e => {
+    showMinorAspects = e.target.checked;
+    update();
+  });
+}
+
+// "15°23′"
+function formatDegree(deg) {
+  let d = Math.floor(deg), m = Math.round((deg - d) * 60);
+  if (m === 60) { d += 1; m = 0; }
+  return `${d}°${String(m).padStart(2, '0')}′`;
+}
+
+// One row: label | tropical position | real constellation
+function pointRow(label, lon, date) {
+  const p = describePoint(lon, date);
+  const c = p.constellation;
+  return `<tr>
+    <td class="chart-point">${label}</td>
+    <td>${formatDegree(p.degree)} ${p.sign.symbol} ${p.sign.name}</td>
+    <td class="chart-real">${c ? `${c.symbol} ${c.name}`.trim() : '—'}</td>
+  </tr>`;
+}
+
+function renderChart(houses, date) {
+  const anglesBody = document.getElementById("chart-angles");
+  if (!anglesBody) return;
+
+  const a = houses.angles;
+
+  document.getElementById("chart-meta").textContent =
+    `LST ${formatDegree(a.ramc / 15).replace('°', 'h').replace('′', 'm')} · ${locationName}`;
+
+  anglesBody.innerHTML =
+    pointRow("ASC", a.asc, date) + pointRow("MC", a.mc, date) +
+    pointRow("DSC", a.dsc, date) + pointRow("IC", a.ic, date);
+
+  document.getElementById("chart-houses").innerHTML = houses.cusps
+    ? houses.cusps.map((c, i) => pointRow(String(i + 1), c, date)).join('')
+    : `<tr><td class="chart-note">${HOUSE_SYSTEMS[houseSystem]} houses are undefined at this latitude — try Porphyry, Equal or Whole Sign.</td></tr>`;
+}
+
+// Lower-triangle grid: row i, column j < i holds the aspect between them
+function renderAspects(points, aspects) {
+  const grid = document.getElementById("chart-aspects");
+  if (!grid) return;
+
+  const byPair = {};
+  aspects.forEach(a => { byPair[`${a.p1}|${a.p2}`] = a; });
+  const glyph = key => {
+    const d = pointDef(key);
+    return `<span style="color:${d.color}" title="${d.name}">${d.symbol}</span>`;
+  };
+
+  let html = '';
+  points.forEach((row, i) => {
+    if (i === 0) return;
+    html += `<tr><th>${glyph(row.key)}</th>`;
+    points.forEach((col, j) => {
+      if (j >= i) {
+        if (j < points.length - 1) html += '<td class="asp-blank"></td>';
+        return;
+      }
+      const a = byPair[`${col.key}|${row.key}`];
+      if (!a) { html += '<td></td>'; return; }
+      const status = a.applying == null ? '' : a.applying ? 'A' : 'S';
+      const title  = `${pointDef(col.key).name} ${a.aspect.name} ${pointDef(row.key).name} · orb ${formatDegree(a.orb)}` +
+        (status ? ` · ${a.applying ? 'applying' : 'separating'}` : '');
+      html += `<td title="${title}" style="opacity:${(0.45 + 0.55 * a.exactness).toFixed(2)}">
+        <span class="asp-sym" style="color:${a.aspect.color}">${a.aspect.symbol}</span>
+        <span class="asp-orb">${formatDegree(a.orb)}${status}</span>
+      </td>`;
+    });
+    html += '</tr>';
+  });
+  html += `<tr><th></th>${points.slice(0, -1).map(p => `<th>${glyph(p.key)}</th>`).join('')}</tr>`;
+  grid.innerHTML = html;
+}
+
+// One row per body: motion now, previous and next station
+function renderStations(points, stations, t) {
+  const tbody = document.getElementById("chart-stations");
+  if (!tbody) return;
+
+  const describe = st => {
+    if (!st) return '—';
+    const p = describePoint(st.lon, st.date);
+    return `${st.type === "retrograde" ? '℞' : 'D'} ${formatUTC(st.date, true)} · ${formatDegree(p.degree)} ${p.sign.symbol}`;
+  };
+
+  tbody.innerHTML = STATION_KEYS.filter(isShown).map(key => {
+    const def   = pointDef(key);
+    const name  = `<td class="chart-point" style="color:${def.color}">${def.symbol} ${def.name}</td>`;
+    const p     = points.find(pt => pt.key === key);
+    if (!p) return `<tr>${name}<td colspan="3" class="stn-when">${NOT_AVAILABLE}</td></tr>`;
+    const state = motionState(key, p.speed);
+    const own   = stations.filter(st => st.key === key);
+    const prev  = own.filter(st => st.date.getTime() <= t).pop();
+    const next  = own.find(st => st.date.getTime() > t);
+    return `<tr>
+      ${name}
+      <td class="stn-state${state === "retrograde" ? ' stn-retro' : ''}">${
+        state === "retrograde" ? '℞ Retrograde' : state === "stationary" ? 'Stationary' : 'Direct'}</td>
+      <td class="stn-when">${describe(prev)}</td>
+      <td class="stn-when">${describe(next)}</td>
+    </tr>`;
+  }).join('');
+}
+
+// ─── Almanac ────────────────────────────────────────────────────────────────
+const formatTime = d =>
+  `${String(d.getUTCHours()).padStart(2, '0')}:${String(d.getUTCMinutes()).padStart(2, '0')}`;
+
+// Compass point for an azimuth ("ENE")
+const COMPASS = ["N","NNE","NE","ENE","E","ESE","SE","SSE","S","SSW","SW","WSW","W","WNW","NW","NNW"];
+const compass = az => COMPASS[Math.round(az / 22.5) % 16];
+
+// `alm` is null while the almanac is closed
+function renderAlmanac(alm) {
+  if (!alm) return;
+  document.getElementById("alm-meta").textContent =
+    `${locationName} · day from local midnight, ${formatUTC(alm.start, true)} UTC · times in UTC`;
+
+  const cell = ev => ev
+    ? `${formatTime(ev.date)} <span class="alm-az">${compass(ev.azimuth)} ${Math.round(ev.azimuth)}°</span>`
+    : '—';
+  document.getElementById("alm-bodies").innerHTML =
+    `<tr><td></td><td class="alm-az">Rise</td><td class="alm-az">Transit</td><td class="alm-az">Set</td></tr>` +
+    ALMANAC_KEYS.filter(isShown).map(key => {
+      const def = pointDef(key);
+      const name = `<td class="chart-point" style="color:${def.color}">${def.symbol} ${def.name}</td>`;
+      const b = alm.bodies.find(x => x.key === key);
+      if (!b) return `<tr>${name}<td colspan="3">${NOT_AVAILABLE}</td></tr>`;
+      if (b.always) {
+        const text = b.key === "sun"
+          ? (b.always === "up" ? "Midnight Sun — above the horizon all day" : "Polar night — below the horizon all day")
+          : (b.always === "up" ? "Above the horizon all day" : "Below the horizon all day");
+        return `<tr>${name}<td colspan="3" class="alm-polar">${text}</td></tr>`;
+      }
+      const transit = b.transit
+        ? `${formatTime(b.transit.date)} <span class="alm-az">alt ${b.transit.altitude.toFixed(0)}°</span>`
+        : '—';
+      return `<tr>${name}<td>${cell(b.rise)}</td><td>${transit}</td><td>${cell(b.set)}</td></tr>`;
+    }).join('');
+
+  document.getElementById("alm-twilight").innerHTML =
+    `<tr><td></td><td class="alm-az">Dawn</td><td class="alm-az">Dusk</td></tr>` +
+    Object.entries(alm.twilight).map(([name, tw]) => {
+      const label = `<td class="chart-point">${capitalize(name)} twilight <span class="alm-az">${TWILIGHTS[name]}°</span></td>`;
+      if (tw.always === "above") return `<tr>${label}<td colspan="2" class="alm-polar">No ${name} night — the Sun stays above ${TWILIGHTS[name]}°</td></tr>`;
+      if (tw.always === "below") return `<tr>${label}<td colspan="2" class="alm-polar">The Sun stays below ${TWILIGHTS[name]}° all day</td></tr>`;
+      return `<tr>${label}<td>${tw.dawn ? formatTime(tw.dawn) : '—'}</td><td>${tw.dusk ? formatTime(tw.dusk) : '—'}</td></tr>`;
+    }).join('');
+}
+
+// ─── Moon phase ─────────────────────────────────────────────────────────────
+function renderMoon(moon, quarters) {
+  const tbody = document.getElementById("chart-moon");
+  if (!tbody) return;
+
+  const row = (label, value) =>
+    `<tr><td class="chart-point">${label}</td><td class="chart-real">${value}</td></tr>`;
+  tbody.innerHTML =
+    row("Phase", moon.phaseName) +
+    row("Illuminated", `${(moon.illumination * 100).toFixed(1)}%`) +
+    row("Age", moon.age == null ? '—' : `${moon.age.toFixed(1)} days`) +
+    row("Distance", `${Math.round(moon.distance).toLocaleString("en-US")} km`);
+
+  document.getElementById("chart-quarters").innerHTML = quarters
+    .map(q => row(q.name, `${formatUTC(q.date, true)} UTC`)).join('');
+}
+
+// ─── Eclipses ───────────────────────────────────────────────────────────────
+const capitalize = s => s[0].toUpperCase() + s.slice(1);
+
+// Place names come from the geocoder; escape them before they go into markup
+const escapeHtml = s => s.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+function eclipseVisibility(e) {
+  const place = escapeHtml(locationName);
+  if (!e.visible) return `<span class="ecl-novis">not visible from ${place}</span>`;
+  const detail = e.local ? ` · ${Math.round(e.local.obscuration * 100)}% of the Sun covered` : '';
+  return `<span class="ecl-vis">visible from ${place}${detail}</span>`;
+}
+
+function renderEclipses(list, t) {
+  const tbody = document.getElementById("chart-eclipses");
+  if (!tbody) return;
+
+  const symbol = e => e.kind === "solar" ? '☉' : '☽';
+
+  // The last eclipse of each kind before the chosen moment
+  document.getElementById("chart-prenatal").innerHTML = ["solar", "lunar"].map(kind => {
+    const e = list.filter(x => x.kind === kind && x.peak.getTime() <= t).pop();
+    if (!e) return '';
+    return `<div class="ecl-card">
+      <div class="ecl-card-kind">${symbol(e)} ${kind} eclipse</div>
+      <div class="ecl-card-type">${capitalize(e.type)}</div>
+      <div>${formatUTC(e.peak, true)} UTC</div>
+      <div>${eclipseVisibility(e)}</div>
+    </div>`;
+  }).join('');
+
+  tbody.innerHTML = list.filter(e => e.peak.getTime() > t - 366 * 86400000).map(e => `
+    <tr class="${e.peak.getTime() <= t ? 'ecl-past' : ''}">
+      <td class="chart-point">${symbol(e)} ${capitalize(e.type)} ${e.kind}</td>
+      <td>${formatUTC(e.peak, true)}</td>
+      <td class="stn-when">${eclipseVisibility(e)}</td>
+    </tr>`).join('');
 }
 
 // ─── Main update ────────────────────────────────────────────────────────────
+// Posts the view state to the renderer, which computes the ephemeris and
+// draws, in its worker when there is one; the panels follow once the date
+// settles (see schedulePanels)
 function update() {
   if (!currentDate) return;
+  if (timeMachine) { drawTimeMachine(timeMachine.position); return; }
+
+  if (view === "chart") mapHits = [];
+  renderer.draw({
+    kind: view,
+    ...ephemerisView(),
+    wheelZodiac,
+    horizon: cameraMode === "horizon",
+    camera: { projection, zoom, center: cameraCenter },
+    overlays: [...overlays],
+    constLabels, trailMonths
+  });
+  schedulePanels();
+}
+
+// Moment, place and chart settings, shared by the scene and the panels
+function ephemerisView() {
+  const orbs = {};
+  Object.entries(ASPECTS).forEach(([type, a]) => { orbs[type] = a.orb * orbScale; });
+  return {
+    time: currentDate.getTime(),
+    lat, lon, nodeMode, houseSystem,
+    bodies: POINT_KEYS.filter(isShown),
+    aspects: { orbs, minor: showMinorAspects }
+  };
+}
+
+function onDrawn({ kind, hits, ephemeris }) {
+  mapHits = hits;
+  if (kind === "precession" && timeMachine) renderTimeMachineHud(ephemeris);
+}
+
+// The panels' searches (stations, eclipses, almanac) and their DOM are heavy,
+// so while the date is being dragged they wait for a pause; the renderer then
+// computes them for that moment and renderPanels shows the result
+const PANEL_DELAY = 150;   // ms
+let panelTimer = null;
+
+function schedulePanels() {
+  clearTimeout(panelTimer);
+  panelTimer = setTimeout(requestPanels, PANEL_DELAY);
+}
+
+function requestPanels() {
+  if (!currentDate || timeMachine) return;
+  renderer.panels({
+    ...ephemerisView(),
+    sidereal: compareMode !== "tropical" ? { system: ayanamsa, custom: customAyanamsa } : null,
+    almanac: document.getElementById("chart-almanac")?.open ?? false
+  });
+}
+
+function onPanels(panels) {
+  if (!timeMachine) renderPanels(panels);
+}
 
-  const sun     = getSunPosition(currentDate);
-  const astroId = getZodiacConstellation(sun.lon);
-  const tropical = getTropicalSign(currentDate);
-  const astro   = CONSTELLATION_NAMES[astroId];
+function renderPanels({ time, tropical, sidereal, placements, points, houses, aspects,
+                        calendar, stations, quarters, almanac, eclipses }) {
+  const astro    = placements.sun.constellation;
 
   // Update comparison cards
   const tropName  = tropical.name;
   const astroName = astro.common;
 
   document.getElementById("tropical-name").textContent = tropName;
+  document.getElementById("tropical-range").textContent =
+    `${formatUTC(tropical.ingress)} – ${formatUTC(tropical.egress)} UTC`;
   document.getElementById("cmp-astrology-bg").style.backgroundImage =
     `url('/assets/cathedral/${signToCathedral(tropName)}.webp')`;
   document.getElementById("tropical-svg").src =
     `/assets/signs/${tropName.toLowerCase()}.svg`;
 
+  // Sidereal card and its controls only when a sidereal mode is selected
+  const showTropical = compareMode !== "sidereal";
+  const showSidereal = compareMode !== "tropical";
+  document.getElementById("cmp-astrology").style.display = showTropical ? "" : "none";
+  document.getElementById("cmp-sidereal").style.display  = showSidereal ? "" : "none";
+  document.getElementById("cmp-ayanamsa").style.display  = showSidereal ? "" : "none";
+  document.getElementById("cmp-ayanamsa-custom").style.display =
+    showSidereal && ayanamsa === "custom" ? "" : "none";
+
+  if (showSidereal && sidereal) {
+    document.getElementById("sidereal-kind").textContent =
+      `Sidereal · ${AYANAMSAS[ayanamsa].name} ${sidereal.ayanamsa.toFixed(2)}°`;
+    document.getElementById("sidereal-name").textContent = sidereal.name;
+    document.getElementById("cmp-sidereal-bg").style.backgroundImage =
+      `url('/assets/cathedral/${signToCathedral(sidereal.name)}.webp')`;
+    document.getElementById("sidereal-svg").src =
+      `/assets/signs/${sidereal.name.toLowerCase()}.svg`;
+  }
+
   document.getElementById("astro-name").textContent = astroName;
   document.getElementById("cmp-astronomy-bg").style.backgroundImage =
     `url('/assets/cathedral/${signToCathedral(astroName)}.webp')`;
   document.getElementById("astro-svg").src =
     `/assets/signs/${astroName.toLowerCase()}.svg`;
 
-  // Compute celestial bodies
-  const moon = getMoon(currentDate);
-
-  const planets = {};
-  PLANET_KEYS.forEach(p => { planets[p] = getPlanetPosition(p, currentDate); });
-
-  const specials = {
-    moon,
-    lilith:    getLilith(currentDate),
-    northNode: getNorthNode(currentDate),
-    chiron:    getChiron(currentDate),
-  };
-
-  const { altitude } = getSolarAltAz(currentDate, lat, lon);
-
-  // Draw star map (with drag offset applied to Sun RA)
-  if (ctx && starData && constData) {
-    drawStarMap(ctx, {
-      stars: starData,
-      constellations: constData,
-      sunRA: sun.ra,
-      sunDec: sun.dec,
-      activeConstId: astroId,
-      moon, planets, specials, altitude
-    });
-  }
+  renderPlacements(placements);
+  renderCalendar(calendar, time);
+  renderChart(houses, new Date(time));
+  renderAspects(points, aspects);
+  renderStations(points, stations, time);
+  renderMoon(placements.moon, quarters);
+  renderAlmanac(almanac);
+  renderEclipses(eclipses, time);
 }
 
 // ─── Canvas resize (retina) ─────────────────────────────────────────────────
 function resizeCanvas() {
   if (!canvas) return;
   const rect = canvas.getBoundingClientRect();
-  const dpr  = window.devicePixelRatio || 1;
-  canvas.width  = rect.width  * dpr;
-  canvas.height = rect.height * dpr;
-  ctx.scale(dpr, dpr);
+  renderer.resize(rect.width, rect.height, window.devicePixelRatio || 1);
   update();
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+// src/aspects.js
+// Aspect engine. Pure: takes ecliptic longitudes (with optional daily speeds)
+// and returns every pair within orb, its exactness and whether it is applying.
+
+const mod360 = d => ((d % 360) + 360) % 360;
+
+// Default orbs in degrees; pass `orbs` to getAspects to override (0 disables)
+export const ASPECTS = {
+  conjunction:    { name:"Conjunction",     symbol:"☌", angle:0,   orb:8,   major:true,  color:"#f4e4b7" },
+  opposition:     { name:"Opposition",      symbol:"☍", angle:180, orb:8,   major:true,  color:"#f87171" },
+  trine:          { name:"Trine",           symbol:"△", angle:120, orb:7,   major:true,  color:"#60a5fa" },
+  square:         { name:"Square",          symbol:"□", angle:90,  orb:7,   major:true,  color:"#f87171" },
+  sextile:        { name:"Sextile",         symbol:"⚹", angle:60,  orb:5,   major:true,  color:"#60a5fa" },
+  quincunx:       { name:"Quincunx",        symbol:"⚻", angle:150, orb:3,   major:false, color:"#a3e635" },
+  semiSextile:    { name:"Semi-sextile",    symbol:"⚺", angle:30,  orb:2,   major:false, color:"#a3e635" },
+  semiSquare:     { name:"Semi-square",     symbol:"∠", angle:45,  orb:2,   major:false, color:"#fb923c" },
+  sesquiquadrate: { name:"Sesquiquadrate",  symbol:"⚼", angle:135, orb:2,   major:false, color:"#fb923c" },
+  quintile:       { name:"Quintile",        symbol:"Q", angle:72,  orb:1.5, major:false, color:"#c084fc" },
+  biquintile:     { name:"Biquintile",      symbol:"bQ",angle:144, orb:1.5, major:false, color:"#c084fc" },
+};
+
+// points: [{ key, lon, speed? }]. Each pair gets at most one aspect, the one
+// closest to exact. orb is the distance from exact; exactness runs from 0 at
+// the edge of the orb to 1 when exact. applying is null without speeds.
+export function getAspects(points, { orbs = {}, minor = true } = {}) {
+  const types = Object.entries(ASPECTS)
+    .filter(([, a]) => minor || a.major)
+    .map(([type, a]) => ({ type, ...a, orb: orbs[type] ?? a.orb }))
+    .filter(a => a.orb > 0);
+
+  const out = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const p = points[i], q = points[j];
+      const delta = mod360(q.lon - p.lon);
+      const sep   = delta <= 180 ? delta : 360 - delta;
+
+      let best = null;
+      for (const a of types) {
+        const dev = sep - a.angle;
+        if (Math.abs(dev) <= a.orb && (!best || Math.abs(dev) < Math.abs(best.dev))) {
+          best = { a, dev };
+        }
+      }
+      if (!best) continue;
+
+      // Rate of change of the separation; applying when |dev| is shrinking
+      let applying = null;
+      if (p.speed != null && q.speed != null) {
+        const rate = (delta <= 180 ? 1 : -1) * (q.speed - p.speed);
+        applying = best.dev * rate < 0;
+      }
+
+      out.push({
+        p1: p.key, p2: q.key,
+        lon1: p.lon, lon2: q.lon,
+        type: best.a.type,
+        aspect: ASPECTS[best.a.type],
+        separation: sep,
+        orb: Math.abs(best.dev),
+        exactness: 1 - Math.abs(best.dev) / best.a.orb,
+        applying
+      });
+    }
+  }
+  return out;
+}
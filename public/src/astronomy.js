@@ -1,7 +1,8 @@
 // src/astronomy.js
 // Uses astronomy-engine (loaded globally via <script> tag) for Sun, Moon, planets.
-// Special points (Lilith, Chiron, North Node) use mean-element approximations.
-// Zodiac detection: ecliptic longitude → IAU constellation boundaries.
+// Lunar node and Lilith from the Moon's osculating orbit (or Meeus' mean
+// elements); Chiron and the asteroids from Keplerian orbits (JPL elements).
+// Constellation detection: J2000 RA/Dec → IAU boundary polygons (B1875).
 
 // astronomy-engine is loaded as window.Astronomy via script tag in index.html
 const Astronomy = window.Astronomy;
@@ -14,9 +15,16 @@ const mod360 = d => ((d % 360) + 360) % 360;
 const J2000_MS = Date.UTC(2000, 0, 1, 12, 0, 0);
 function daysSinceJ2000(date) { return (date.getTime() - J2000_MS) / 86400000; }
 
-// Ecliptic (lon, lat) → equatorial (RA, Dec). Obliquity 23.4393° is constant.
-function eclToEq(lon, lat) {
-  const eps = toRad(23.4393);
+// Jan 1 00:00 UTC of `year` (Date.UTC alone maps years 0–99 to 19xx)
+function yearStart(year) {
+  const d = new Date(Date.UTC(2000, 0, 1));
+  d.setUTCFullYear(year);
+  return d;
+}
+
+// Ecliptic (lon, lat) → equatorial (RA, Dec). Obliquity defaults to J2000.
+function eclToEq(lon, lat, obliquity = 23.4393) {
+  const eps = toRad(obliquity);
   const lonR = toRad(lon), latR = toRad(lat);
   const sinDec = Math.sin(latR) * Math.cos(eps) +
                  Math.cos(latR) * Math.sin(eps) * Math.sin(lonR);
@@ -28,136 +36,640 @@ function eclToEq(lon, lat) {
   return { ra, dec };
 }
 
+// ─── Precession (Vondrák, Capitaine & Wallace 2011, valid ±200 000 years) ───
+// Long-term models of the ecliptic and equator poles, as in SOFA iauLtpecl /
+// iauLtpequ. astronomy-engine's IAU 2006 precession is only good for a few
+// centuries, while the map has to hold up from 5000 BC to AD 5000.
+const AS2R = Math.PI / 648000;
+const EPS0 = 84381.406 * AS2R;
+
+// [period (centuries), cos P/X, cos Q/Y, sin P/X, sin Q/Y] in arcsec
+const ECL_POLY = [
+  [ 5851.607687, -0.1189000, -0.00028913,  0.000000101],
+  [-1600.886300,  1.1689818, -0.00000020, -0.000000437],
+];
+const ECL_PER = [
+  [ 708.15, -5486.751211, -684.661560,   667.666730, -5523.863691],
+  [2309.00,   -17.127623, 2446.283880, -2354.886252,  -549.747450],
+  [1620.00,  -617.517403,  399.671049,  -428.152441,  -310.998056],
+  [ 492.20,   413.442940, -356.652376,   376.202861,   421.535876],
+  [1183.00,    78.614193, -186.387003,   184.778874,   -36.776172],
+  [ 622.00,  -180.732815, -316.800070,   335.321713,  -145.278396],
+  [ 882.00,   -87.676083,  198.296701,  -185.138669,   -34.744450],
+  [ 547.00,    46.140315,  101.135679,  -120.972830,    22.885731],
+];
+const EQU_POLY = [
+  [  5453.282155,  0.4252841, -0.00037173, -0.000000152],
+  [-73750.930350, -0.7675452, -0.00018725,  0.000000231],
+];
+const EQU_PER = [
+  [ 256.75,  -819.940624, 75004.344875, 81491.287984,  1558.515853],
+  [ 708.15, -8444.676815,   624.033993,   787.163481,  7774.939698],
+  [ 274.20,  2600.009459,  1251.136893,  1251.296102, -2219.534038],
+  [ 241.45,  2755.175630, -1102.212834, -1257.950837, -2523.969396],
+  [2309.00,  -167.659835, -2660.664980, -2966.799730,   247.850422],
+  [ 492.20,   871.855056,   699.291817,   639.744522,  -846.485643],
+  [ 396.10,    44.769698,   153.167220,   131.600209, -1393.124055],
+  [ 288.90,  -512.313065,  -950.865637,  -445.040117,   368.526116],
+  [ 231.10,  -819.415595,   499.754645,   584.522874,   749.045012],
+  [1610.00,  -538.071099,  -145.188210,   -89.756563,   444.704518],
+  [ 620.00,  -189.793622,   558.116553,   524.429630,   235.934465],
+  [ 157.87,  -402.922932,   -23.923029,   -13.549067,   374.049623],
+  [ 220.30,   179.516345,  -165.405086,  -210.157124,  -171.330180],
+  [1200.00,    -9.814756,     9.344131,   -44.919798,   -22.899655],
+];
+
+// Sum of the polynomial and periodic parts → pair of pole offsets (radians)
+function ltpSeries(T, poly, per) {
+  let a = 0, b = 0;
+  for (const [period, ca, cb, sa, sb] of per) {
+    const w = 2 * Math.PI * T / period;
+    a += Math.cos(w) * ca + Math.sin(w) * sa;
+    b += Math.cos(w) * cb + Math.sin(w) * sb;
+  }
+  for (let i = 0, w = 1; i < 4; i++, w *= T) {
+    a += poly[0][i] * w;
+    b += poly[1][i] * w;
+  }
+  return [a * AS2R, b * AS2R];
+}
+
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0]
+];
+const norm = v => { const l = Math.hypot(...v); return v.map(x => x / l); };
+
+// Ecliptic and equator poles of date, in J2000 equatorial coordinates
+function precessionPoles(date) {
+  const T = daysSinceJ2000(date) / 36525;
+  const [p, q] = ltpSeries(T, ECL_POLY, ECL_PER);
+  const z = Math.sqrt(Math.max(1 - p * p - q * q, 0));
+  const ecl = [p, -q * Math.cos(EPS0) - z * Math.sin(EPS0), -q * Math.sin(EPS0) + z * Math.cos(EPS0)];
+  const [x, y] = ltpSeries(T, EQU_POLY, EQU_PER);
+  const equ = [x, y, Math.sqrt(Math.max(1 - x * x - y * y, 0))];
+  return { ecl, equ };
+}
+
+// Rotation matrix (rows): J2000 mean equator/equinox → mean equator/equinox of date
+export function getPrecessionMatrix(date) {
+  const { ecl, equ } = precessionPoles(date);
+  const eqx = norm(cross(equ, ecl));
+  return [eqx, cross(equ, eqx), equ];
+}
+
+// Mean obliquity of the ecliptic of date, degrees
+export function getObliquity(date) {
+  const { ecl, equ } = precessionPoles(date);
+  return toDeg(Math.acos(ecl[0] * equ[0] + ecl[1] * equ[1] + ecl[2] * equ[2]));
+}
+
+// Rotate RA/Dec (degrees) by matrix m, or by its transpose when `inverse`
+export function rotateRaDec(m, ra, dec, inverse = false) {
+  const r = toRad(ra), d = toRad(dec);
+  const v = [Math.cos(d) * Math.cos(r), Math.cos(d) * Math.sin(r), Math.sin(d)];
+  const u = [0, 1, 2].map(i => inverse
+    ? m[0][i] * v[0] + m[1][i] * v[1] + m[2][i] * v[2]
+    : m[i][0] * v[0] + m[i][1] * v[1] + m[i][2] * v[2]);
+  return {
+    ra:  mod360(toDeg(Math.atan2(u[1], u[0]))),
+    dec: toDeg(Math.asin(Math.max(-1, Math.min(1, u[2]))))
+  };
+}
+
+// Mean ecliptic of date (lon, lat) → J2000 RA/Dec
+export function eclOfDateToJ2000(lon, lat, date) {
+  const eq = eclToEq(lon, lat, getObliquity(date));
+  return rotateRaDec(getPrecessionMatrix(date), eq.ra, eq.dec, true);
+}
+
+// Geocentric J2000 vector → ecliptic longitude/latitude of date (true equinox)
+function eclipticOfDate(vec, date) {
+  const sph = Astronomy.SphereFromVector(
+    Astronomy.RotateVector(Astronomy.Rotation_EQJ_ECT(date), vec));
+  return { lon: sph.lon, lat: sph.lat };
+}
+
 // ─── Sun (astronomy-engine) ─────────────────────────────────────────────────
 export function getSunPosition(date) {
   const sp  = Astronomy.SunPosition(date);
-  const lon = sp.elon;                         // ecliptic longitude
-  const { ra, dec } = eclToEq(lon, 0);        // Sun is on ecliptic (lat=0)
-  return { ra, dec, lon };
+  const lon = sp.elon;                         // ecliptic longitude (of date)
+  // RA/Dec in J2000 like the star catalog, keeping the Sun's small latitude
+  const eq  = Astronomy.EquatorFromVector(Astronomy.GeoVector('Sun', date, true));
+  return { ra: eq.ra * 15, dec: eq.dec, lon, lat: sp.elat };
 }
 
 // ─── Moon (astronomy-engine) ────────────────────────────────────────────────
+const PHASE_NAMES = [
+  "New Moon", "Waxing Crescent", "First Quarter", "Waxing Gibbous",
+  "Full Moon", "Waning Gibbous", "Last Quarter", "Waning Crescent"
+];
+const AU_KM = 149597870.7;
+
 export function getMoon(date) {
   const vec = Astronomy.GeoVector('Moon', date, false);
-  const ecl = Astronomy.Ecliptic(vec);
-  const { ra, dec } = eclToEq(ecl.elon, ecl.elat);
+  // RA/Dec in J2000 like the star catalog
+  const eq  = Astronomy.EquatorFromVector(vec);
+  const ra  = eq.ra * 15, dec = eq.dec;
 
   // MoonPhase: 0°=new, 180°=full. Convert to 0–1 (0=new, 0.5=full).
-  const phase = mod360(Astronomy.MoonPhase(date)) / 360;
+  const elong = mod360(Astronomy.MoonPhase(date));
+  const phase = elong / 360;
+
+  // Age since the previous new moon, days
+  const newMoon = Astronomy.SearchMoonPhase(0, date, -35);
+  const age = newMoon ? (date.getTime() - newMoon.date.getTime()) / 86400000 : null;
+
+  // Position angle of the bright limb (from north through east, Meeus 48.5),
+  // in the same J2000 frame as ra/dec so it can be projected with them
+  const sun = Astronomy.EquatorFromVector(Astronomy.GeoVector('Sun', date, true));
+  const a0 = toRad(sun.ra * 15), d0 = toRad(sun.dec), a = toRad(ra), d = toRad(dec);
+  const brightLimb = mod360(toDeg(Math.atan2(
+    Math.cos(d0) * Math.sin(a0 - a),
+    Math.sin(d0) * Math.cos(d) - Math.cos(d0) * Math.sin(d) * Math.cos(a0 - a))));
 
-  return { ra, dec, phase };
+  return {
+    ra, dec, phase, ...eclipticOfDate(vec, date),
+    phaseName: PHASE_NAMES[Math.floor(mod360(elong + 22.5) / 45)],
+    illumination: Astronomy.Illumination('Moon', date).phase_fraction,
+    age,
+    distance: vec.Length() * AU_KM,
+    brightLimb
+  };
+}
+
+// Upcoming principal phases: [{ quarter (0 new … 3 last), name, date }]
+export function getMoonQuarters(date, count = 4) {
+  const out = [];
+  let q = Astronomy.SearchMoonQuarter(date);
+  for (let k = 0; k < count; k++) {
+    out.push({ quarter: q.quarter, name: PHASE_NAMES[q.quarter * 2], date: q.time.date });
+    q = Astronomy.NextMoonQuarter(q);
+  }
+  return out;
 }
 
 // ─── Planets (astronomy-engine) ─────────────────────────────────────────────
 const PLANET_BODY = {
   mercury:'Mercury', venus:'Venus', mars:'Mars',
-  jupiter:'Jupiter', saturn:'Saturn', uranus:'Uranus', neptune:'Neptune'
+  jupiter:'Jupiter', saturn:'Saturn', uranus:'Uranus', neptune:'Neptune',
+  pluto:'Pluto'
 };
 
+// null outside the dates the body's model covers (see modelCovers)
 export function getPlanetPosition(planet, date) {
+  if (!modelCovers(planet, date)) return null;
+  if (ASTEROIDS.includes(planet)) return getMinorBodyPosition(planet, date);
   const body = PLANET_BODY[planet];
   if (!body) return null;
   const vec = Astronomy.GeoVector(body, date, false);
-  const ecl = Astronomy.Ecliptic(vec);
-  const { ra, dec } = eclToEq(ecl.elon, ecl.elat);
-  return { ra, dec };
+  const eq  = Astronomy.EquatorFromVector(vec);
+  return { ra: eq.ra * 15, dec: eq.dec, ...eclipticOfDate(vec, date) };
 }
 
-// ─── Special points (mean-element approximations) ──────────────────────────
-export function getNorthNode(date) {
-  const n   = daysSinceJ2000(date);
-  const lon = mod360(125.04 - 0.05295 * n);
-  return { ...eclToEq(lon, 0), lon };
+// ─── Lunar node and Black Moon Lilith ───────────────────────────────────────
+// "true": osculating elements of the Moon's geocentric orbit at the instant —
+// the node from the orbit's angular momentum, Lilith (lunar apogee) opposite
+// the eccentricity vector. "mean": Meeus' mean-element polynomials (ch. 47).
+const GM_EARTH_MOON = (398600.4418 + 4902.800) * 86400 ** 2 / 149597870.7 ** 3;  // AU³/day²
+
+function moonOrbit(date) {
+  const s   = Astronomy.GeoMoonState(date);
+  const rot = Astronomy.Rotation_EQJ_ECT(date);
+  const r = Astronomy.RotateVector(rot, new Astronomy.Vector(s.x,  s.y,  s.z,  s.t));
+  const v = Astronomy.RotateVector(rot, new Astronomy.Vector(s.vx, s.vy, s.vz, s.t));
+  const h = cross([r.x, r.y, r.z], [v.x, v.y, v.z]);
+  const vxh = cross([v.x, v.y, v.z], h);
+  const rl  = Math.hypot(r.x, r.y, r.z);
+  const e = [0, 1, 2].map(k => vxh[k] / GM_EARTH_MOON - [r.x, r.y, r.z][k] / rl);
+  return { h, e };
+}
+
+function centuriesSinceJ2000(date) { return daysSinceJ2000(date) / 36525; }
+
+export function getNorthNode(date, mode = "true") {
+  let lon;
+  if (mode === "mean") {
+    const T = centuriesSinceJ2000(date);
+    lon = mod360(125.0445479 - 1934.1362891 * T + 0.0020754 * T * T
+                 + T ** 3 / 467441 - T ** 4 / 60616000);
+  } else {
+    const { h } = moonOrbit(date);
+    lon = mod360(toDeg(Math.atan2(h[0], -h[1])));
+  }
+  return { ...eclOfDateToJ2000(lon, 0, date), lon, lat: 0 };
+}
+
+export function getLilith(date, mode = "true") {
+  let lon, lat = 0;
+  if (mode === "mean") {
+    const T = centuriesSinceJ2000(date);
+    lon = mod360(180 + 83.3532465 + 4069.0137287 * T - 0.01032 * T * T
+                 - T ** 3 / 80053 + T ** 4 / 18999000);
+  } else {
+    const { e } = moonOrbit(date);
+    lon = mod360(toDeg(Math.atan2(-e[1], -e[0])));
+    lat = toDeg(Math.atan2(-e[2], Math.hypot(e[0], e[1])));
+  }
+  return { ...eclOfDateToJ2000(lon, lat, date), lon, lat };
+}
+
+// ─── Chiron and the main asteroids (Keplerian orbits) ───────────────────────
+// Osculating heliocentric elements (J2000 ecliptic) from JPL Horizons at
+// two-year epochs, 1900–2100 (public/data/orbits.json). Each position is a
+// two-body orbit propagated from the nearest epoch: within ~0.06° of the full
+// integration inside that range, drifting by degrees far outside it.
+let orbits = null;
+
+export function setOrbitalElements(data) {
+  orbits = data;
 }
 
-export function getLilith(date) {
-  const n   = daysSinceJ2000(date);
-  const lon = mod360(45.0 + (360 / 3232.6) * n);
-  return { ...eclToEq(lon, 0), lon };
+function minorElements(key, date) {
+  return nearestElements(key, 2451545.0 + daysSinceJ2000(date));
+}
+
+function nearestElements(key, jd) {
+  if (!orbits) throw new Error("Orbital elements not loaded");
+  const rows = orbits[key];
+  const step = rows[1][0] - rows[0][0];
+  const k = Math.max(0, Math.min(rows.length - 1, Math.round((jd - rows[0][0]) / step)));
+  const [epoch, a, e, i, node, peri, M] = rows[k];
+  return { epoch, a, e, i, node, peri, M };
+}
+
+export const ASTEROIDS = ["ceres", "pallas", "juno", "vesta"];
+
+const GAUSS_K  = 0.01720209895;        // rad/day for a in AU
+const C_AU_DAY = 173.1446327;
+
+function keplerHelio(el, jd) {
+  const { a, e } = el;
+  const n = GAUSS_K / a ** 1.5;
+  const M = toRad(el.M) + n * (jd - el.epoch);
+  let E = M;
+  for (let k = 0; k < 20; k++) {
+    const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= dE;
+    if (Math.abs(dE) < 1e-12) break;
+  }
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const O = toRad(el.node), w = toRad(el.peri), i = toRad(el.i);
+  const cO = Math.cos(O), sO = Math.sin(O), cw = Math.cos(w), sw = Math.sin(w);
+  const ci = Math.cos(i), si = Math.sin(i);
+  return [
+    (cO * cw - sO * sw * ci) * xp + (-cO * sw - sO * cw * ci) * yp,
+    (sO * cw + cO * sw * ci) * xp + (-sO * sw + cO * cw * ci) * yp,
+    (sw * si) * xp + (cw * si) * yp
+  ];
+}
+
+// `el` overrides the element set, by default the one nearest `date`
+function getMinorBodyPosition(key, date, el = minorElements(key, date)) {
+  const jd    = 2451545.0 + daysSinceJ2000(date);
+  const earth = Astronomy.HelioVector('Earth', date);
+  const rot   = Astronomy.Rotation_ECL_EQJ();
+
+  // Geocentric J2000 vector, corrected for light time
+  let vec, tau = 0;
+  for (let k = 0; k < 3; k++) {
+    const [x, y, z] = keplerHelio(el, jd - tau);
+    const eq = Astronomy.RotateVector(rot, new Astronomy.Vector(x, y, z, earth.t));
+    vec = new Astronomy.Vector(eq.x - earth.x, eq.y - earth.y, eq.z - earth.z, earth.t);
+    tau = Math.hypot(vec.x, vec.y, vec.z) / C_AU_DAY;
+  }
+
+  const eq = Astronomy.EquatorFromVector(vec);
+  return { ra: eq.ra * 15, dec: eq.dec, ...eclipticOfDate(vec, date) };
 }
 
 export function getChiron(date) {
-  const n   = daysSinceJ2000(date);
-  const lon = mod360(120.5 + 0.01945 * n);
-  return { ...eclToEq(lon, 0), lon };
+  return modelCovers("chiron", date) ? getMinorBodyPosition("chiron", date) : null;
+}
+
+// ─── Model coverage ─────────────────────────────────────────────────────────
+// astronomy-engine integrates Pluto from a table of states spanning roughly
+// years 1–3998 (±730 000 days from J2000); beyond it each position takes up
+// to a second and drifts. The minor-body elements span 1900–2100, with half
+// an epoch step of grace at either end. Outside those dates a body has no
+// position ("n/a"); every other body is covered throughout.
+const PLUTO_DAYS = 730000;
+
+// [from, to] in ms, or null for a body covered at every date
+function modelRange(key) {
+  const fromJ2000 = days => J2000_MS + days * 86400000;
+  if (key === "pluto") return [fromJ2000(-PLUTO_DAYS), fromJ2000(PLUTO_DAYS)];
+  if (key !== "chiron" && !ASTEROIDS.includes(key)) return null;
+  if (!orbits) throw new Error("Orbital elements not loaded");
+  const rows = orbits[key];
+  const half = (rows[1][0] - rows[0][0]) / 2;
+  return [fromJ2000(rows[0][0] - half - 2451545.0), fromJ2000(rows[rows.length - 1][0] + half - 2451545.0)];
+}
+
+export function modelCovers(key, date) {
+  const range = modelRange(key);
+  return !range || (date.getTime() >= range[0] && date.getTime() <= range[1]);
+}
+
+// ─── Altitude / azimuth ─────────────────────────────────────────────────────
+// Topocentric horizon coordinates with standard refraction, for any body:
+// astronomy-engine bodies directly (apparent place of date), the asteroids and
+// special points from their J2000 RA/Dec precessed to the date.
+const ENGINE_BODY = { sun: 'Sun', moon: 'Moon', ...PLANET_BODY };
+const SPECIAL_POSITION = { northNode: getNorthNode, lilith: getLilith, chiron: getChiron };
+
+function horizonOf(body, time, observer) {
+  const eq  = Astronomy.Equator(body, time, observer, true, true);
+  const hor = Astronomy.Horizon(time, observer, eq.ra, eq.dec, 'normal');
+  return { altitude: hor.altitude, azimuth: hor.azimuth };
+}
+
+export function getAltAz(key, date, lat, lon) {
+  if (!modelCovers(key, date)) return null;
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  if (ENGINE_BODY[key]) return horizonOf(ENGINE_BODY[key], date, observer);
+
+  const pos = SPECIAL_POSITION[key] ? SPECIAL_POSITION[key](date) : getPlanetPosition(key, date);
+  const eq  = rotateRaDec(getPrecessionMatrix(date), pos.ra, pos.dec);
+  const hor = Astronomy.Horizon(date, observer, mod360(eq.ra) / 15, eq.dec, 'normal');
+  return { altitude: hor.altitude, azimuth: hor.azimuth };
 }
 
-// ─── Solar altitude / azimuth ───────────────────────────────────────────────
 export function getSolarAltAz(date, lat, lon) {
-  const n   = daysSinceJ2000(date);
-  const dec = 23.45 * Math.sin(toRad(mod360((360 / 365) * (n % 365 + 10))));
-
-  const utcH = date.getUTCHours() + date.getUTCMinutes() / 60;
-  const ha   = (utcH + lon / 15 - 12) * 15;
-
-  const latR = toRad(lat), decR = toRad(dec), haR = toRad(ha);
-  const sinAlt = Math.sin(latR) * Math.sin(decR) +
-                 Math.cos(latR) * Math.cos(decR) * Math.cos(haR);
-  const altitude = toDeg(Math.asin(Math.max(-1, Math.min(1, sinAlt))));
-
-  const cosAlt = Math.cos(toRad(altitude));
-  let azimuth  = 0;
-  if (cosAlt > 0.001) {
-    const sinAz = Math.cos(decR) * Math.sin(haR) / cosAlt;
-    const cosAz = (Math.sin(decR) - Math.sin(latR) * sinAlt) /
-                  (Math.cos(latR) * cosAlt);
-    azimuth = mod360(toDeg(Math.atan2(sinAz, cosAz)));
-  }
-  return { altitude, azimuth };
-}
-
-// ─── Zodiac detection (ecliptic longitude → IAU constellation) ──────────────
-const ZODIAC_BOUNDS = [
-  { id:"Sgr", from:266.3, to:300.0 },
-  { id:"Cap", from:300.0, to:327.0 },
-  { id:"Aqr", from:327.0, to:351.6 },
-  { id:"Psc", from:351.6, to:360.0 },
-  { id:"Psc", from:  0.0, to: 29.0 },
-  { id:"Ari", from: 29.0, to: 53.5 },
-  { id:"Tau", from: 53.5, to: 90.4 },
-  { id:"Gem", from: 90.4, to:118.1 },
-  { id:"Cnc", from:118.1, to:138.1 },
-  { id:"Leo", from:138.1, to:174.1 },
-  { id:"Vir", from:174.1, to:217.8 },
-  { id:"Lib", from:217.8, to:241.0 },
-  { id:"Sco", from:241.0, to:247.7 },
-  { id:"Oph", from:247.7, to:266.3 },
-];
+  return getAltAz("sun", date, lat, lon);
+}
 
-export function getZodiacConstellation(eclipticLon) {
-  for (const z of ZODIAC_BOUNDS) {
-    if (eclipticLon >= z.from && eclipticLon < z.to) return z.id;
-  }
-  return "Sgr";
-}
-
-// ─── Tropical sign ──────────────────────────────────────────────────────────
-const TROPICAL = [
-  { name:"Capricorn",   symbol:"♑", from:[12,22], to:[1,19]  },
-  { name:"Aquarius",    symbol:"♒", from:[1,20],  to:[2,18]  },
-  { name:"Pisces",      symbol:"♓", from:[2,19],  to:[3,20]  },
-  { name:"Aries",       symbol:"♈", from:[3,21],  to:[4,19]  },
-  { name:"Taurus",      symbol:"♉", from:[4,20],  to:[5,20]  },
-  { name:"Gemini",      symbol:"♊", from:[5,21],  to:[6,20]  },
-  { name:"Cancer",      symbol:"♋", from:[6,21],  to:[7,22]  },
-  { name:"Leo",         symbol:"♌", from:[7,23],  to:[8,22]  },
-  { name:"Virgo",       symbol:"♍", from:[8,23],  to:[9,22]  },
-  { name:"Libra",       symbol:"♎", from:[9,23],  to:[10,22] },
-  { name:"Scorpio",     symbol:"♏", from:[10,23], to:[11,21] },
-  { name:"Sagittarius", symbol:"♐", from:[11,22], to:[12,21] },
-];
+// ─── Visual magnitude ───────────────────────────────────────────────────────
+// Sun, Moon and planets; null for the bodies astronomy-engine doesn't model
+export function getMagnitude(key, date) {
+  return ENGINE_BODY[key] && modelCovers(key, date) ? Astronomy.Illumination(ENGINE_BODY[key], date).mag : null;
+}
 
-export function getTropicalSign(date) {
-  const m = date.getUTCMonth() + 1, d = date.getUTCDate();
-  for (const s of TROPICAL) {
-    const [fm, fd] = s.from, [tm, td] = s.to;
-    if (fm > tm) {
-      if ((m === fm && d >= fd) || (m === tm && d <= td) || m > fm || m < tm) return s;
-    } else {
-      if ((m === fm && d >= fd) || (m === tm && d <= td) || (m > fm && m < tm)) return s;
+// ─── Constellation detection (IAU boundaries, B1875) ────────────────────────
+// Boundaries are the official IAU polygons in B1875 coordinates, loaded from
+// constellations.bounds.json. Query positions are precessed from J2000 to
+// B1875 and tested with point-in-polygon; every edge is a B1875 meridian or
+// parallel, so a planar test in (ra, dec) is exact.
+let boundaries = null;
+
+export function setConstellationBounds(features) {
+  boundaries = features.map(f => {
+    const rings = f.polygons.flat();
+    const pts = rings.flat();
+    return {
+      id: f.id,
+      rings,
+      minDec: Math.min(...pts.map(p => p[1])),
+      maxDec: Math.max(...pts.map(p => p[1]))
+    };
+  });
+}
+
+// B1875.0 = 1874-12-31T18:12:21.950Z (UT), as used by astronomy-engine
+const B1875 = new Date(Date.UTC(1874, 11, 31, 18, 12, 21, 950));
+let rotB1875 = null;
+
+function toB1875(ra, dec) {
+  if (!rotB1875) rotB1875 = Astronomy.Rotation_EQJ_EQD(Astronomy.MakeTime(B1875));
+  const vec = Astronomy.VectorFromSphere(new Astronomy.Spherical(dec, ra, 1), Astronomy.MakeTime(0));
+  const eq  = Astronomy.EquatorFromVector(Astronomy.RotateVector(rotB1875, vec));
+  return { ra: mod360(eq.ra * 15), dec: eq.dec };
+}
+
+// Label point for a constellation part from its B1875 boundary points
+function labelPoint(id, pts) {
+  const v = [0, 0, 0];
+  pts.forEach(([ra, dec]) => {
+    v[0] += Math.cos(toRad(dec)) * Math.cos(toRad(ra));
+    v[1] += Math.cos(toRad(dec)) * Math.sin(toRad(ra));
+    v[2] += Math.sin(toRad(dec));
+  });
+  const c = [mod360(toDeg(Math.atan2(v[1], v[0]))), toDeg(Math.atan2(v[2], Math.hypot(v[0], v[1])))];
+  if (constellationB1875(c[0], c[1]) === id) return c;
+
+  // Concave: nearest inside point on a 1° grid over the part's extent
+  const decs = pts.map(p => p[1]);
+  const dist = (ra, dec) => {
+    const dra = ((ra - c[0]) % 360 + 540) % 360 - 180;
+    return (dra * Math.cos(toRad(dec))) ** 2 + (dec - c[1]) ** 2;
+  };
+  let best = pts[0], bestD = Infinity;
+  for (let dec = Math.ceil(Math.min(...decs)); dec <= Math.max(...decs); dec++) {
+    for (let ra = 0.5; ra < 360; ra++) {
+      const d = dist(ra, dec);
+      if (d < bestD && constellationB1875(ra, dec) === id) { best = [ra, dec]; bestD = d; }
     }
   }
-  return TROPICAL[11];
+  return best;
+}
+
+function fromB1875(ra, dec) {
+  if (!rotB1875) rotB1875 = Astronomy.Rotation_EQJ_EQD(Astronomy.MakeTime(B1875));
+  const vec = Astronomy.VectorFromSphere(new Astronomy.Spherical(dec, ra, 1), Astronomy.MakeTime(B1875));
+  const eq  = Astronomy.EquatorFromVector(Astronomy.RotateVector(Astronomy.InverseRotation(rotB1875), vec));
+  return { ra: mod360(eq.ra * 15), dec: eq.dec };
+}
+
+function insideRing(ring, x, y) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < xj + (y - yj) * (xi - xj) / (yi - yj)) inside = !inside;
+  }
+  return inside;
+}
+
+// J2000 RA/Dec (degrees) → IAU abbreviation, e.g. "Oph"
+export function getConstellation(ra, dec) {
+  if (!boundaries) throw new Error("Constellation boundaries not loaded");
+  const p = toB1875(ra, dec);
+  return constellationB1875(p.ra, p.dec);
+}
+
+function constellationB1875(ra, dec) {
+  for (const b of boundaries) {
+    if (dec < b.minDec || dec > b.maxDec) continue;
+    let inside = false;
+    for (const ring of b.rings) if (insideRing(ring, ra, dec)) inside = !inside;
+    if (inside) return b.id;
+  }
+  return null;
+}
+
+// ─── Constellation outlines for drawing (J2000) ─────────────────────────────
+// Boundary edges merged along each B1875 parallel and meridian so shared and
+// overlapping edges are drawn once. The data splits polygons at 0h; edges on
+// that seam are kept only where the constellations either side differ, and
+// edges along the poles are dropped. Everything is densified to ≤1° and
+// precessed to J2000, so it curves correctly under any projection. Regions
+// are each constellation's rings, with one label point per connected part
+// (Serpens has two). Cached after the first call.
+let outlines = null;
+
+export function getConstellationOutlines() {
+  if (!boundaries) throw new Error("Constellation boundaries not loaded");
+  if (outlines) return outlines;
+
+  const toJ2000 = ([ra, dec]) => {
+    const q = fromB1875(ra, dec);
+    return [q.ra, q.dec];
+  };
+  const densify = (a, b) => {
+    const n = Math.max(1, Math.ceil(Math.max(Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1]))));
+    return Array.from({ length: n + 1 }, (_, i) =>
+      toJ2000([a[0] + (b[0] - a[0]) * i / n, a[1] + (b[1] - a[1]) * i / n]));
+  };
+
+  // Collect edge intervals by the line they lie on
+  const lines = new Map();    // "d:<dec>" or "r:<ra>" → [[from, to], ...]
+  const add = (key, a, b) => {
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push([Math.min(a, b), Math.max(a, b)]);
+  };
+  boundaries.forEach(b => b.rings.forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const [ra1, dec1] = ring[i - 1], [ra2, dec2] = ring[i];
+      if (dec1 === dec2 && ra1 !== ra2 && Math.abs(dec1) !== 90) add(`d:${dec1}`, ra1, ra2);
+      else if (ra1 === ra2 && dec1 !== dec2) add(`r:${ra1 % 360}`, dec1, dec2);
+    }
+  }));
+
+  const edges = [];
+  lines.forEach((intervals, key) => {
+    const value = +key.slice(2);
+    intervals.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    intervals.forEach(([a, b]) => {
+      const last = merged[merged.length - 1];
+      if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+      else merged.push([a, b]);
+    });
+    merged.forEach(([a, b]) => {
+      if (key[0] === "d") return edges.push(densify([a, value], [b, value]));
+      if (value !== 0) return edges.push(densify([value, a], [value, b]));
+      // 0h seam: split at every vertex on it, keep the stretches that divide
+      // two constellations
+      const stops = [...new Set(intervals.flat().filter(d => d >= a && d <= b))].sort((x, y) => x - y);
+      for (let i = 1; i < stops.length; i++) {
+        const mid = (stops[i - 1] + stops[i]) / 2;
+        if (constellationB1875(1e-6, mid) !== constellationB1875(360 - 1e-6, mid)) {
+          edges.push(densify([0, stops[i - 1]], [0, stops[i]]));
+        }
+      }
+    });
+  });
+
+  // Regions, and label points for each part: rings of one constellation
+  // meeting across the 0h seam are joined. The point is the mean direction of
+  // the part's boundary, or for concave shapes the nearest point inside it.
+  const seamSpans = (ring, ra) => ring.slice(1)
+    .map((p, i) => [ring[i], p])
+    .filter(([a, b]) => a[0] === ra && b[0] === ra)
+    .map(([a, b]) => [Math.min(a[1], b[1]), Math.max(a[1], b[1])]);
+  const meets = (r1, r2) => seamSpans(r1, 0).some(([a, b]) =>
+    seamSpans(r2, 360).some(([c, d]) => Math.min(b, d) > Math.max(a, c)));
+
+  const regions = boundaries.map(b => {
+    const group = b.rings.map((_, i) => i);
+    const root = i => group[i] === i ? i : (group[i] = root(group[i]));
+    b.rings.forEach((r1, i) => b.rings.forEach((r2, j) => {
+      if (i !== j && meets(r1, r2)) group[root(j)] = root(i);
+    }));
+    const parts = new Map();
+    b.rings.forEach((ring, i) => {
+      const pts = ring.slice(1).flatMap((p, k) => {
+        const n = Math.max(1, Math.ceil(Math.abs(p[0] - ring[k][0])));
+        return Array.from({ length: n }, (_, m) => [ring[k][0] + (p[0] - ring[k][0]) * m / n, ring[k][1]]);
+      });
+      parts.set(root(i), (parts.get(root(i)) || []).concat(pts));
+    });
+    const labels = [...parts.values()].map(pts => toJ2000(labelPoint(b.id, pts)));
+    return {
+      id: b.id,
+      rings: b.rings.map(ring => ring.slice(1).flatMap((p, i) => densify(ring[i], p))),
+      labels: labels.map(([ra, dec]) => ({ ra, dec }))
+    };
+  });
+
+  outlines = { edges, regions };
+  return outlines;
+}
+
+// ─── Zodiac signs ───────────────────────────────────────────────────────────
+// Sign order along the ecliptic, starting at 0° (Aries)
+const SIGNS = [
+  { name:"Aries",       symbol:"♈" },
+  { name:"Taurus",      symbol:"♉" },
+  { name:"Gemini",      symbol:"♊" },
+  { name:"Cancer",      symbol:"♋" },
+  { name:"Leo",         symbol:"♌" },
+  { name:"Virgo",       symbol:"♍" },
+  { name:"Libra",       symbol:"♎" },
+  { name:"Scorpio",     symbol:"♏" },
+  { name:"Sagittarius", symbol:"♐" },
+  { name:"Capricorn",   symbol:"♑" },
+  { name:"Aquarius",    symbol:"♒" },
+  { name:"Pisces",      symbol:"♓" },
+];
+
+export function signFromLongitude(lon) {
+  return SIGNS[Math.floor(mod360(lon) / 30)];
+}
+
+// ─── Tropical sign (apparent solar longitude of date, 0° = March equinox) ──
+// Exact instant the apparent Sun reaches ecliptic longitude `lon` within
+// `days` after `from`, or null
+function sunLongitudeInstant(lon, from, days) {
+  const t = Astronomy.SearchSunLongitude(lon, from, days);
+  return t ? t.date : null;
+}
+
+export function getTropicalSign(date) {
+  const { lon } = getSunPosition(date);
+  const i = Math.floor(lon / 30);
+  // The Sun needs at most ~31.5 days per sign
+  const before = new Date(date.getTime() - 33 * 86400000);
+  return {
+    ...SIGNS[i],
+    lon,
+    degree: lon % 30,
+    ingress: sunLongitudeInstant(i * 30, before, 34),
+    egress:  sunLongitudeInstant(((i + 1) % 12) * 30, date, 33)
+  };
+}
+
+// ─── Sidereal sign (equal 30° signs shifted by an ayanamsa) ────────────────
+// Ayanamsa at J2000 (degrees), carried forward by general precession.
+// "custom" takes its J2000 value from the caller.
+export const AYANAMSAS = {
+  lahiri:       { name:"Lahiri",        j2000: 23.857092 },
+  faganBradley: { name:"Fagan-Bradley", j2000: 24.740300 },
+  raman:        { name:"Raman",         j2000: 22.410791 },
+  krishnamurti: { name:"Krishnamurti",  j2000: 23.760240 },
+  custom:       { name:"User-defined",  j2000: null      },
+};
+
+export function getAyanamsa(date, system = "lahiri", custom = 0) {
+  const a = AYANAMSAS[system] ?? AYANAMSAS.lahiri;
+  const T = daysSinceJ2000(date) / 36525;
+  // General precession in longitude (IAU 2006), arcsec
+  const p = 5028.796195 * T + 1.1054348 * T * T;
+  return (a.j2000 ?? custom) + p / 3600;
+}
+
+export function getSiderealSign(date, system = "lahiri", custom = 0) {
+  const { lon } = getSunPosition(date);
+  const ayanamsa = getAyanamsa(date, system, custom);
+  const sidereal = mod360(lon - ayanamsa);
+  return {
+    ...signFromLongitude(sidereal),
+    lon: sidereal,
+    degree: sidereal % 30,
+    ayanamsa
+  };
 }
 
 // ─── Constellation names ────────────────────────────────────────────────────
@@ -177,12 +689,368 @@ export const CONSTELLATION_NAMES = {
   Sgr: { name:"Sagittarius", symbol:"♐", common:"Sagittarius" },
 };
 
+export const ZODIAC_IDS = Object.keys(CONSTELLATION_NAMES);
+
+// The rest of the 88 — the Moon and planets wander into several of these
+const OTHER_CONSTELLATIONS = {
+  And:"Andromeda", Ant:"Antlia", Aps:"Apus", Aql:"Aquila", Ara:"Ara",
+  Aur:"Auriga", Boo:"Boötes", Cae:"Caelum", Cam:"Camelopardalis",
+  CMa:"Canis Major", CMi:"Canis Minor", CVn:"Canes Venatici", Car:"Carina",
+  Cas:"Cassiopeia", Cen:"Centaurus", Cep:"Cepheus", Cet:"Cetus",
+  Cha:"Chamaeleon", Cir:"Circinus", Col:"Columba", Com:"Coma Berenices",
+  CrA:"Corona Australis", CrB:"Corona Borealis", Crt:"Crater", Cru:"Crux",
+  Crv:"Corvus", Cyg:"Cygnus", Del:"Delphinus", Dor:"Dorado", Dra:"Draco",
+  Equ:"Equuleus", Eri:"Eridanus", For:"Fornax", Gru:"Grus", Her:"Hercules",
+  Hor:"Horologium", Hya:"Hydra", Hyi:"Hydrus", Ind:"Indus", Lac:"Lacerta",
+  Lep:"Lepus", LMi:"Leo Minor", Lup:"Lupus", Lyn:"Lynx", Lyr:"Lyra",
+  Men:"Mensa", Mic:"Microscopium", Mon:"Monoceros", Mus:"Musca", Nor:"Norma",
+  Oct:"Octans", Ori:"Orion", Pav:"Pavo", Peg:"Pegasus", Per:"Perseus",
+  Phe:"Phoenix", Pic:"Pictor", PsA:"Piscis Austrinus", Pup:"Puppis",
+  Pyx:"Pyxis", Ret:"Reticulum", Scl:"Sculptor", Sct:"Scutum", Ser:"Serpens",
+  Sex:"Sextans", Sge:"Sagitta", Tel:"Telescopium", TrA:"Triangulum Australe",
+  Tri:"Triangulum", Tuc:"Tucana", UMa:"Ursa Major", UMi:"Ursa Minor",
+  Vel:"Vela", Vol:"Volans", Vul:"Vulpecula",
+};
+Object.entries(OTHER_CONSTELLATIONS).forEach(([id, name]) => {
+  CONSTELLATION_NAMES[id] = { name, symbol:"", common:name };
+});
+
+// ─── Real placements (every body → IAU constellation) ───────────────────────
+export const BODY_KEYS = ["sun", "moon", ...Object.keys(PLANET_BODY), ...ASTEROIDS];
+
+// Only the bodies in `keys`; a body outside its model's dates maps to null
+export function getPlacements(date, keys = BODY_KEYS) {
+  const out = {};
+  for (const key of keys) {
+    const pos = key === "sun" ? getSunPosition(date) : key === "moon" ? getMoon(date) : getPlanetPosition(key, date);
+    if (!pos) { out[key] = null; continue; }
+    const constId = getConstellation(pos.ra, pos.dec);
+    out[key] = {
+      ...pos,
+      constId,
+      constellation: CONSTELLATION_NAMES[constId],
+      zodiac: ZODIAC_IDS.includes(constId)
+    };
+  }
+  return out;
+}
+
+// ─── Chart points: longitude of date and daily motion ───────────────────────
+// Speeds (°/day, negative when retrograde) from a ±1 hour central difference.
+// nodeMode ("true" | "mean") selects the lunar node and Lilith variant.
+// Only the points in `keys`, leaving out any outside their model's dates.
+const SPECIAL_POINTS = { northNode: getNorthNode, lilith: getLilith, chiron: getChiron };
+export const POINT_KEYS = [...BODY_KEYS, ...Object.keys(SPECIAL_POINTS)];
+
+// Not checked against modelCovers: speeds sample an hour either side of a
+// covered date, which may fall just outside
+function pointLongitude(key, date, nodeMode) {
+  if (key === "sun")  return getSunPosition(date).lon;
+  if (key === "moon") return eclipticOfDate(Astronomy.GeoVector('Moon', date, false), date).lon;
+  if (PLANET_BODY[key]) return eclipticOfDate(Astronomy.GeoVector(PLANET_BODY[key], date, false), date).lon;
+  if (key === "chiron" || ASTEROIDS.includes(key)) return getMinorBodyPosition(key, date).lon;
+  return SPECIAL_POINTS[key](date, nodeMode).lon;
+}
+
+// Chiron and the asteroids take both samples from the element set at `date`:
+// across an epoch switch the position jumps slightly, enough to flip the sign
+// of a slow body's speed and fake a station
+function longitudeSpeed(key, date, nodeMode) {
+  const h = 3600000;
+  const before = new Date(date.getTime() - h);
+  const after  = new Date(date.getTime() + h);
+  let lon = d => pointLongitude(key, d, nodeMode);
+  if (key === "chiron" || ASTEROIDS.includes(key)) {
+    const el = minorElements(key, date);
+    lon = d => getMinorBodyPosition(key, d, el).lon;
+  }
+  const diff = mod360(lon(after) - lon(before) + 180) - 180;
+  return diff * 12;
+}
+
+export function getEclipticPoints(date, nodeMode = "true", keys = POINT_KEYS) {
+  return keys.filter(key => modelCovers(key, date)).map(key => ({
+    key,
+    lon:   pointLongitude(key, date, nodeMode),
+    speed: longitudeSpeed(key, date, nodeMode)
+  }));
+}
+
+// ─── Planet paths ───────────────────────────────────────────────────────────
+// Geocentric J2000 RA/Dec of a planet at each of the given dates
+export function getPlanetPath(key, dates) {
+  return dates.map(date => {
+    const { ra, dec } = getPlanetPosition(key, date);
+    return { date, ra, dec };
+  });
+}
+
+// ─── Retrograde motion and stations ─────────────────────────────────────────
+// Mean geocentric motion (°/day); a body counts as stationary while its speed
+// is under 10% of it. Mercury and Venus average the Sun's rate.
+const MEAN_MOTION = {
+  mercury: 0.9856, venus: 0.9856, mars: 0.5240, jupiter: 0.0831,
+  saturn: 0.0335, uranus: 0.0117, neptune: 0.0060, pluto: 0.0040,
+  ceres: 0.2141, pallas: 0.2135, juno: 0.2261, vesta: 0.2716, chiron: 0.0195
+};
+export const STATION_KEYS = Object.keys(MEAN_MOTION);
+
+// "direct" | "retrograde" | "stationary"
+export function motionState(key, speed) {
+  if (Math.abs(speed) < 0.1 * MEAN_MOTION[key]) return "stationary";
+  return speed < 0 ? "retrograde" : "direct";
+}
+
+// Stations between two dates: sign changes of the speed on a 5-day grid
+// (shorter than any retrograde period), refined by bisection to about a
+// minute. `type` is the motion that begins there: "retrograde" (station
+// retrograde) or "direct" (station direct). Only the part of the range the
+// body's model covers is searched.
+export function getStations(key, from, to) {
+  const step  = 5 * DAY_MS;
+  const range = modelRange(key);
+  const end   = range ? Math.min(to.getTime(), range[1]) : to.getTime();
+  const out   = [];
+  let t0 = range ? Math.max(from.getTime(), range[0]) : from.getTime();
+  let v0 = longitudeSpeed(key, new Date(t0));
+  while (t0 < end) {
+    const t1 = Math.min(t0 + step, end);
+    const v1 = longitudeSpeed(key, new Date(t1));
+    if ((v0 < 0) !== (v1 < 0)) {
+      let lo = t0, hi = t1;
+      while (hi - lo > 60000) {
+        const mid = (lo + hi) / 2;
+        if ((longitudeSpeed(key, new Date(mid)) < 0) === (v0 < 0)) lo = mid;
+        else hi = mid;
+      }
+      const date = new Date((lo + hi) / 2);
+      out.push({ key, date, type: v1 < 0 ? "retrograde" : "direct", lon: pointLongitude(key, date) });
+    }
+    t0 = t1;
+    v0 = v1;
+  }
+  return out;
+}
+
+// ─── Sun's constellation ingresses (IAU boundaries) ─────────────────────────
+const DAY_MS = 86400000;
+
+function sunConstellation(t) {
+  const sun = getSunPosition(new Date(t));
+  return getConstellation(sun.ra, sun.dec);
+}
+
+// Bisect the boundary crossing between t0 (in `id0`) and t1 down to a second.
+// t1 may lie before t0 when searching backwards.
+function bisectSunCrossing(t0, t1, id0) {
+  while (Math.abs(t1 - t0) > 1000) {
+    const mid = (t0 + t1) / 2;
+    if (sunConstellation(mid) === id0) t0 = mid;
+    else t1 = mid;
+  }
+  return new Date(Math.round(t1));
+}
+
+// Every stay of the Sun in a constellation that overlaps the UTC year `year`:
+// [{ constId, constellation, ingress, egress }]. The first stay may begin in
+// the previous year and the last may end in the next. Stays last ≥ 6 days
+// (Scorpius), so daily sampling cannot skip one.
+export function getConstellationIngresses(year) {
+  const start = yearStart(year).getTime();
+  const end   = yearStart(year + 1).getTime();
+
+  // Walk back to the ingress of the constellation holding the Sun on Jan 1
+  let t = start, id = sunConstellation(t);
+  while (sunConstellation(t - DAY_MS) === id) t -= DAY_MS;
+  let ingress = bisectSunCrossing(t, t - DAY_MS, id);
+
+  const stays = [];
+  for (t = start; ; t += DAY_MS) {
+    const next = sunConstellation(t + DAY_MS);
+    if (next === id) continue;
+    const egress = bisectSunCrossing(t, t + DAY_MS, id);
+    stays.push({ constId: id, constellation: CONSTELLATION_NAMES[id], ingress, egress });
+    if (egress.getTime() >= end) break;
+    id = next;
+    ingress = egress;
+  }
+  return stays;
+}
+
+// ─── Rise, transit, set and twilight ────────────────────────────────────────
+// For the 24 hours from local mean midnight (UTC midnight shifted by the
+// longitude). A body with neither rise nor set that day stays on one side of
+// the horizon throughout: polar day/night, or circumpolar/never-rising.
+export const ALMANAC_KEYS = Object.keys(ENGINE_BODY);
+export const TWILIGHTS = { civil: -6, nautical: -12, astronomical: -18 };
+
+function localDayStart(date, lon) {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  start.setTime(start.getTime() - lon / 15 * 3600000);
+  if (date - start >= DAY_MS) start.setTime(start.getTime() + DAY_MS);
+  if (date < start)           start.setTime(start.getTime() - DAY_MS);
+  return start;
+}
+
+function riseTransitSet(key, observer, start) {
+  const body = ENGINE_BODY[key];
+  const event = (t) => t && { date: t.date, ...horizonOf(body, t, observer) };
+  const rise = event(Astronomy.SearchRiseSet(body, observer, +1, start, 1));
+  const set  = event(Astronomy.SearchRiseSet(body, observer, -1, start, 1));
+  const ha   = Astronomy.SearchHourAngle(body, observer, 0, start);
+  const transit = ha.time.date - start < DAY_MS ? event(ha.time) : null;
+
+  // "up" | "down" all day when the body never crosses the horizon
+  let always = null;
+  if (!rise && !set) always = horizonOf(body, start, observer).altitude > 0 ? "up" : "down";
+  return { key, rise, transit, set, always };
+}
+
+export function getAlmanac(date, lat, lon, keys = ALMANAC_KEYS) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const start = localDayStart(date, lon);
+  const sunStart = horizonOf('Sun', start, observer).altitude;
+
+  const twilight = {};
+  for (const [name, alt] of Object.entries(TWILIGHTS)) {
+    const dawn = Astronomy.SearchAltitude('Sun', observer, +1, start, 1, alt);
+    const dusk = Astronomy.SearchAltitude('Sun', observer, -1, start, 1, alt);
+    twilight[name] = {
+      dawn: dawn?.date ?? null,
+      dusk: dusk?.date ?? null,
+      // Without crossings the Sun stays above ("above": never this dark)
+      // or below ("below": never this light) the twilight altitude all day
+      always: !dawn && !dusk ? (sunStart > alt ? "above" : "below") : null
+    };
+  }
+
+  const bodies = keys.filter(key => modelCovers(key, start)).map(key => riseTransitSet(key, observer, start));
+  return { start, bodies, twilight };
+}
+
+// ─── Eclipses ───────────────────────────────────────────────────────────────
+// Solar and lunar eclipses with peak times in [from, to), and whether any part
+// is above the observer's horizon. astronomy-engine only searches forward, so
+// callers wanting earlier eclipses start `from` further back.
+function moonAltitude(time, observer) {
+  const eq = Astronomy.Equator('Moon', time, observer, true, true);
+  return Astronomy.Horizon(time, observer, eq.ra, eq.dec, 'normal').altitude;
+}
+
+export function getSolarEclipses(from, to, lat, lon) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const out = [];
+  for (let e = Astronomy.SearchGlobalSolarEclipse(from); e.peak.date < to;
+       e = Astronomy.NextGlobalSolarEclipse(e.peak)) {
+    // Local circumstances of the same eclipse, if the Moon's shadow reaches us
+    const local = Astronomy.SearchLocalSolarEclipse(e.peak.AddDays(-1), observer);
+    const here  = Math.abs(local.peak.time.ut - e.peak.ut) < 1;
+    out.push({
+      kind: "solar",
+      type: e.kind,                     // "partial" | "annular" | "total"
+      peak: e.peak.date,
+      visible: here && [local.partial_begin, local.peak, local.partial_end].some(ev => ev.altitude > 0),
+      local: here ? {
+        type: local.kind,
+        obscuration: local.obscuration,
+        peak: local.peak.time.date,
+        altitude: local.peak.altitude
+      } : null
+    });
+  }
+  return out;
+}
+
+export function getLunarEclipses(from, to, lat, lon) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const out = [];
+  for (let e = Astronomy.SearchLunarEclipse(from); e.peak.date < to;
+       e = Astronomy.NextLunarEclipse(e.peak)) {
+    const half = e.sd_penum / 1440;     // minutes → days
+    out.push({
+      kind: "lunar",
+      type: e.kind,                     // "penumbral" | "partial" | "total"
+      peak: e.peak.date,
+      visible: [-half, 0, half].some(d => moonAltitude(e.peak.AddDays(d), observer) > 0),
+      duration: 2 * (e.sd_total || e.sd_partial || e.sd_penum)   // minutes
+    });
+  }
+  return out;
+}
+
+// ─── Zodiac ring segments (chart wheel) ────────────────────────────────────
+// "tropical": the twelve 30° signs. "iau": the unequal stretches of the
+// ecliptic of date inside each IAU constellation, boundaries found by
+// bisection. Segments run from → to in longitude; `to` may exceed 360.
+export function getZodiacSegments(date, mode = "tropical") {
+  if (mode === "tropical") {
+    return SIGNS.map((s, i) => ({ id: s.name, name: s.name, symbol: s.symbol, from: i * 30, to: i * 30 + 30 }));
+  }
+
+  const m   = getPrecessionMatrix(date);
+  const eps = getObliquity(date);
+  const idAt = lon => {
+    const eq = eclToEq(lon, 0, eps);
+    const j  = rotateRaDec(m, eq.ra, eq.dec, true);
+    return getConstellation(j.ra, j.dec);
+  };
+  const crossing = (a, b, idA) => {
+    while (b - a > 1e-4) {
+      const mid = (a + b) / 2;
+      if (idAt(mid) === idA) a = mid; else b = mid;
+    }
+    return b;
+  };
+
+  // Boundary longitudes over one turn of 0.5° steps
+  const bounds = [];
+  let prev = idAt(0);
+  for (let lon = 0.5; lon <= 360; lon += 0.5) {
+    const id = idAt(lon);
+    if (id !== prev) bounds.push({ lon: crossing(lon - 0.5, lon, prev), id });
+    prev = id;
+  }
+
+  return bounds.map((b, i) => {
+    const next = bounds[(i + 1) % bounds.length];
+    const c = CONSTELLATION_NAMES[b.id];
+    return {
+      id: b.id, name: c.name, symbol: c.symbol || b.id,
+      from: b.lon,
+      to: next.lon + (next.lon <= b.lon ? 360 : 0)
+    };
+  });
+}
+
+// ─── Tropical / astronomical agreement across precession ───────────────────
+// Holding a calendar date fixed (month/day/time of `date`), sample every
+// `step` years in [fromYear, toYear] and merge the years in which the Sun's
+// tropical sign matches the constellation it sits in: [{ from, to, sign }].
+export function getSignAgreementSpans(date, fromYear, toYear, step = 50) {
+  const spans = [];
+  let open = null;
+  for (let y = fromYear; y <= toYear; y += step) {
+    const d = new Date(date);
+    d.setUTCFullYear(y);
+    const sun  = getSunPosition(d);
+    const sign = signFromLongitude(sun.lon).name;
+    const c    = CONSTELLATION_NAMES[getConstellation(sun.ra, sun.dec)];
+    if (c?.common === sign) {
+      if (open?.sign === sign && open.to === y - step) open.to = y;
+      else spans.push(open = { from: y, to: y, sign });
+    }
+  }
+  return spans;
+}
+
 // ─── Convenience ────────────────────────────────────────────────────────────
 export function getFullResult(date) {
   const sun     = getSunPosition(date);
-  const astroId = getZodiacConstellation(sun.lon);
+  const astroId = getConstellation(sun.ra, sun.dec);
   return {
     tropical:     getTropicalSign(date),
+    sidereal:     getSiderealSign(date),
     astronomical: CONSTELLATION_NAMES[astroId],
     astroId,
     sun
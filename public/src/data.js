@@ -3,13 +3,17 @@
 
 let stars = null;
 let constellations = null;
+let bounds = null;
+let orbits = null;
+let starNames = null;
 
 export async function loadStars() {
   if (stars) return stars;
   const res = await fetch("/data/stars.ecliptic.json");
   const geojson = await res.json();
-  // Flatten to array of { ra, dec, mag, bv }
+  // Flatten to array of { hip, ra, dec, mag, bv }
   stars = geojson.features.map(f => ({
+    hip: f.id,
     ra:  f.geometry.coordinates[0],
     dec: f.geometry.coordinates[1],
     mag: f.properties.mag,
@@ -30,7 +34,41 @@ export async function loadConstellations() {
   return constellations;
 }
 
+export async function loadBounds() {
+  if (bounds) return bounds;
+  const res = await fetch("/data/constellations.bounds.json");
+  const geojson = await res.json();
+  // Map to { id, polygons: [[[[ra,dec], ...]], ...] } — B1875, RA 0–360°
+  bounds = geojson.features.map(f => ({
+    id:       f.id,
+    polygons: f.geometry.coordinates
+  }));
+  return bounds;
+}
+
+export async function loadOrbits() {
+  if (orbits) return orbits;
+  const res = await fetch("/data/orbits.json");
+  // { key: [[jd, a, e, i, node, peri, M], ...] } — heliocentric, J2000 ecliptic
+  orbits = (await res.json()).bodies;
+  return orbits;
+}
+
+export async function loadStarNames() {
+  if (starNames) return starNames;
+  const res = await fetch("/data/starnames.json");
+  // { hip: { name, desig, hd } } — proper name, Bayer/Flamsteed designation
+  // and HD number. HD stands in for the Bright Star (HR) number, which
+  // d3-celestial's tables don't carry.
+  starNames = await res.json();
+  return starNames;
+}
+
 export async function loadAll() {
-  const [s, c] = await Promise.all([loadStars(), loadConstellations()]);
-  return { stars: s, constellations: c };
+  const [s, c, b, o, n] = await Promise.all([
+    loadStars(), loadConstellations(), loadBounds(), loadOrbits(), loadStarNames()
+  ]);
+  // Attach names and designations to the stars that have them
+  s.forEach(star => { if (n[star.hip]) Object.assign(star, n[star.hip]); });
+  return { stars: s, constellations: c, bounds: b, orbits: o };
 }
\ No newline at end of file
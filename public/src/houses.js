@@ -0,0 +1,162 @@
+// src/houses.js
+// Sidereal time, chart angles (Ascendant, MC) and house cusps.
+// All longitudes are tropical (ecliptic of date, degrees); each point can be
+// described both as a tropical sign and as the IAU constellation it lies in.
+
+import {
+  signFromLongitude, getConstellation, eclOfDateToJ2000, CONSTELLATION_NAMES
+} from "./astronomy.js";
+
+const Astronomy = window.Astronomy;
+
+const toRad  = d => d * Math.PI / 180;
+const toDeg  = r => r * 180 / Math.PI;
+const mod360 = d => ((d % 360) + 360) % 360;
+
+export const HOUSE_SYSTEMS = {
+  placidus:      "Placidus",
+  koch:          "Koch",
+  wholeSign:     "Whole Sign",
+  equal:         "Equal",
+  porphyry:      "Porphyry",
+  campanus:      "Campanus",
+  regiomontanus: "Regiomontanus",
+};
+
+// ─── Sidereal time ──────────────────────────────────────────────────────────
+// Local apparent sidereal time as an angle (RAMC), degrees. lon is east-positive.
+export function getLocalSiderealTime(date, lon) {
+  return mod360(Astronomy.SiderealTime(date) * 15 + lon);
+}
+
+// ─── Ecliptic point from right/oblique ascension ────────────────────────────
+// Longitude of the ecliptic point with oblique ascension `oa` under a pole of
+// height `pole` (pole 0 = right ascension). Pole = latitude at oa = RAMC + 90°
+// gives the Ascendant; pole 0 at oa = RAMC gives the MC.
+function eclipticFromOA(oa, pole, eps) {
+  const r = toRad(oa), e = toRad(eps);
+  return mod360(toDeg(Math.atan2(
+    Math.sin(r),
+    Math.cos(r) * Math.cos(e) - Math.tan(toRad(pole)) * Math.sin(e)
+  )));
+}
+
+// Ascensional difference of an ecliptic point, or NaN if it never rises/sets
+function ascensionalDiff(lon, lat, eps) {
+  const sinDec = Math.sin(toRad(eps)) * Math.sin(toRad(lon));
+  const dec = Math.asin(sinDec);
+  const x = Math.tan(toRad(lat)) * Math.tan(dec);
+  return Math.abs(x) > 1 ? NaN : toDeg(Math.asin(x));
+}
+
+// ─── Angles ─────────────────────────────────────────────────────────────────
+export function getAngles(date, lat, lon) {
+  const eps  = Astronomy.e_tilt(Astronomy.MakeTime(date)).tobl;
+  const ramc = getLocalSiderealTime(date, lon);
+  const mc   = eclipticFromOA(ramc, 0, eps);
+  const asc  = eclipticFromOA(ramc + 90, lat, eps);
+  return {
+    ramc, obliquity: eps,
+    asc, mc,
+    dsc: mod360(asc + 180),
+    ic:  mod360(mc + 180)
+  };
+}
+
+// ─── House cusps ────────────────────────────────────────────────────────────
+// Cusps 1, 2, 3, 10, 11, 12 per system; 4–9 are their opposites.
+// Return null where the system is undefined (quadrant systems inside the
+// polar circles).
+const QUADRANT = {
+  // Trisect the ecliptic arcs between the angles
+  porphyry({ asc, mc }) {
+    const q1 = mod360(asc - mc) / 3;            // MC → ASC
+    const q2 = mod360(mc + 180 - asc) / 3;      // ASC → IC
+    return { 11: mc + q1, 12: mc + 2 * q1, 2: asc + q2, 3: asc + 2 * q2 };
+  },
+
+  // Equal 30° steps of the equator from the meridian, projected along
+  // great circles through the north and south points of the horizon
+  regiomontanus({ ramc, obliquity }, lat) {
+    const cusp = h => eclipticFromOA(ramc + h,
+      toDeg(Math.atan(Math.tan(toRad(lat)) * Math.sin(toRad(h)))), obliquity);
+    return { 11: cusp(30), 12: cusp(60), 2: cusp(120), 3: cusp(150) };
+  },
+
+  // Equal 30° steps of the prime vertical
+  campanus({ ramc, obliquity }, lat) {
+    const cusp = a => {
+      const A = toRad(a), phi = toRad(lat);
+      const h    = toDeg(Math.atan2(Math.sin(A) * Math.cos(phi), Math.cos(A)));
+      const pole = toDeg(Math.asin(Math.sin(phi) * Math.sin(A)));
+      return eclipticFromOA(ramc + h, pole, obliquity);
+    };
+    return { 11: cusp(30), 12: cusp(60), 2: cusp(120), 3: cusp(150) };
+  },
+
+  // Trisect each cusp's own diurnal / nocturnal semi-arc (iterated)
+  placidus({ ramc, obliquity, asc, mc }, lat) {
+    const cusp = (f, above) => {
+      let lon = above ? mod360(mc + 90 * f) : mod360(asc + 90 * f);
+      for (let i = 0; i < 50; i++) {
+        const ad = ascensionalDiff(lon, lat, obliquity);
+        if (isNaN(ad)) return NaN;
+        const ra = above
+          ? ramc + f * (90 + ad)
+          : ramc + 180 - (1 - f) * (90 - ad);
+        const next = eclipticFromOA(ra, 0, obliquity);
+        const done = Math.abs(((next - lon + 540) % 360) - 180) < 1e-7;
+        lon = next;
+        if (done) break;
+      }
+      return lon;
+    };
+    return { 11: cusp(1 / 3, true), 12: cusp(2 / 3, true), 2: cusp(1 / 3, false), 3: cusp(2 / 3, false) };
+  },
+
+  // Trisect the MC degree's diurnal semi-arc in time; each cusp is the
+  // Ascendant for the shifted sidereal time
+  koch({ ramc, obliquity, mc }, lat) {
+    const ad = ascensionalDiff(mc, lat, obliquity);
+    if (isNaN(ad)) return { 11: NaN, 12: NaN, 2: NaN, 3: NaN };
+    const step = (90 + ad) / 3;
+    const cusp = k => eclipticFromOA(ramc + 90 + k * step, lat, obliquity);
+    return { 11: cusp(-2), 12: cusp(-1), 2: cusp(1), 3: cusp(2) };
+  },
+};
+
+export function getHouses(date, lat, lon, system = "placidus") {
+  const angles = getAngles(date, lat, lon);
+  const { asc, mc } = angles;
+  let cusps;
+
+  if (system === "equal") {
+    cusps = Array.from({ length: 12 }, (_, i) => mod360(asc + 30 * i));
+  } else if (system === "wholeSign") {
+    const first = Math.floor(asc / 30) * 30;
+    cusps = Array.from({ length: 12 }, (_, i) => mod360(first + 30 * i));
+  } else {
+    const q = QUADRANT[system]?.(angles, lat);
+    if (!q || Object.values(q).some(isNaN)) {
+      return { system, angles, cusps: null };
+    }
+    const half = { 1: asc, 2: q[2], 3: q[3], 10: mc, 11: q[11], 12: q[12] };
+    cusps = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(n =>
+      mod360(half[n] ?? half[((n + 5) % 12) + 1] + 180));
+  }
+  return { system, angles, cusps };
+}
+
+// ─── Describe an ecliptic point ─────────────────────────────────────────────
+// Tropical sign + degree, and the IAU constellation the point lies in
+export function describePoint(lon, date) {
+  const { ra, dec } = eclOfDateToJ2000(lon, 0, date);
+  const constId = getConstellation(ra, dec);
+  return {
+    lon,
+    sign: signFromLongitude(lon),
+    degree: lon % 30,
+    constId,
+    constellation: CONSTELLATION_NAMES[constId]
+  };
+}
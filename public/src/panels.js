@@ -0,0 +1,84 @@
+// src/panels.js
+// What the page's panels show for a moment: sign cards, placements, chart,
+// stations, Moon, almanac, eclipses and the Sun's ingress calendar. Runs
+// beside the scenes (see scene.js), in the render worker when there is one,
+// so none of these searches block the page.
+
+import {
+  getTropicalSign, getSiderealSign, getConstellationIngresses, getStations,
+  getMoonQuarters, getAlmanac, getSolarEclipses, getLunarEclipses,
+  STATION_KEYS, ALMANAC_KEYS
+} from "./astronomy.js";
+import { getEphemeris } from "./scene.js";
+
+const DAY_MS = 86400000;
+
+// The view carries the scene's ephemeris settings (see getEphemeris) plus
+//   sidereal — { system, custom } for the sidereal card, or null
+//   almanac  — whether the almanac is open
+// Returns getEphemeris' { time, placements, points, houses, aspects } with
+// { tropical, sidereal, calendar, stations, quarters, almanac, eclipses }.
+export function computePanels(view) {
+  const date = new Date(view.time);
+  const { sidereal } = view;
+  return {
+    ...getEphemeris(view),
+    tropical: getTropicalSign(date),
+    sidereal: sidereal ? getSiderealSign(date, sidereal.system, sidereal.custom) : null,
+    calendar: ingressCalendar(date.getUTCFullYear()),
+    stations: nearbyStations(date, view.bodies),
+    quarters: getMoonQuarters(date),
+    almanac: view.almanac
+      ? getAlmanac(date, view.lat, view.lon, ALMANAC_KEYS.filter(k => view.bodies.includes(k)))
+      : null,
+    eclipses: nearbyEclipses(date, view.lat, view.lon)
+  };
+}
+
+// ─── Ingress calendar ───────────────────────────────────────────────────────
+// Recomputed only when the year changes
+let calendar = null;
+
+function ingressCalendar(year) {
+  if (calendar?.year !== year) calendar = { year, stays: getConstellationIngresses(year) };
+  return calendar;
+}
+
+// ─── Stations ───────────────────────────────────────────────────────────────
+// Stations of the shown bodies within about ±7 months, recomputed once the
+// date drifts out of the middle of the cached window
+const STATION_WINDOW = 213 * DAY_MS;
+let stationCache = null;
+
+function nearbyStations(date, bodies) {
+  const t = date.getTime();
+  const keys = STATION_KEYS.filter(k => bodies.includes(k));
+  if (!stationCache || stationCache.keys !== keys.join() ||
+      Math.abs(t - stationCache.centre) > STATION_WINDOW / 3) {
+    const from = new Date(t - STATION_WINDOW), to = new Date(t + STATION_WINDOW);
+    stationCache = {
+      centre: t, keys: keys.join(),
+      list: keys.flatMap(key => getStations(key, from, to))
+    };
+  }
+  return stationCache.list;
+}
+
+// ─── Eclipses ───────────────────────────────────────────────────────────────
+// From ~400 days before to two years after a cached centre date, for the
+// current location
+let eclipseCache = null;
+
+function nearbyEclipses(date, lat, lon) {
+  const t = date.getTime();
+  const key = `${lat},${lon}`;
+  if (!eclipseCache || eclipseCache.key !== key || Math.abs(t - eclipseCache.centre) > 30 * DAY_MS) {
+    const from = new Date(t - 430 * DAY_MS), to = new Date(t + 760 * DAY_MS);
+    eclipseCache = {
+      key, centre: t,
+      list: [...getSolarEclipses(from, to, lat, lon), ...getLunarEclipses(from, to, lat, lon)]
+        .sort((a, b) => a.peak - b.peak)
+    };
+  }
+  return eclipseCache.list;
+}
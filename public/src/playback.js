@@ -0,0 +1,47 @@
+// src/playback.js
+// Playback controller for time-lapse modes (e.g. the precession time machine).
+// Advances a numeric position (years) at `speed` units per second on
+// requestAnimationFrame and loops from `to` back to `from`.
+
+export function createPlayback({ from, to, start = from, speed = 100, onFrame }) {
+  let pos = start;
+  let playing = false;
+  let raf = null, last = null;
+
+  function tick(t) {
+    if (last !== null) {
+      pos += speed * (t - last) / 1000;
+      if (pos > to)   pos = from + (pos - to);
+      if (pos < from) pos = to - (from - pos);
+    }
+    last = t;
+    onFrame(pos);
+    raf = requestAnimationFrame(tick);
+  }
+
+  function play() {
+    if (playing) return;
+    playing = true;
+    last = null;
+    raf = requestAnimationFrame(tick);
+  }
+
+  function pause() {
+    playing = false;
+    cancelAnimationFrame(raf);
+    raf = null;
+  }
+
+  return {
+    play,
+    pause,
+    toggle() { playing ? pause() : play(); },
+    seek(p) {
+      pos = Math.max(from, Math.min(to, p));
+      onFrame(pos);
+    },
+    setSpeed(s) { speed = s; },
+    get position() { return pos; },
+    get playing()  { return playing; },
+  };
+}
@@ -0,0 +1,71 @@
+// src/render-worker.js
+// Render worker: owns the star map canvas, transferred as an OffscreenCanvas,
+// draws the scenes the page posts (see scene.js) and computes its panels (see
+// panels.js). A classic worker so the engine bundle loads with importScripts
+// like the page's script tag; the app modules read window.Astronomy when they
+// load, so they follow by import().
+//
+// Page → worker:  {type: "canvas", canvas, width, height, dpr}
+//                 {type: "resize", width, height, dpr}
+//                 {type: "catalog", stars, constellations, bounds, orbits}
+//                 {type: "draw", scene}
+//                 {type: "panels", view}
+//                 {type: "export"}
+// Worker → page:  {type: "ready"} once loaded, or {type: "failed", message}
+//                 {type: "drawn", result} after each draw, result being
+//                 drawScene's {kind, hits, ephemeris}
+//                 {type: "panels", panels} for each panels request
+//                 {type: "blob", blob} for each export, or {type: "blob", error}
+
+self.window = self;
+importScripts("../lib/astronomy-engine.js");
+
+let scene, panels, astronomy;
+let canvas = null, ctx = null;
+
+Promise.all([import("./scene.js"), import("./panels.js"), import("./astronomy.js")])
+  .then(([s, p, a]) => {
+    scene = s;
+    panels = p;
+    astronomy = a;
+    postMessage({ type: "ready" });
+  })
+  .catch(err => postMessage({ type: "failed", message: String(err) }));
+
+// Canvas size in CSS pixels; drawing code works in those units
+function resize({ width, height, dpr }) {
+  if (!width) return;
+  self.devicePixelRatio = dpr;
+  canvas.width  = width  * dpr;
+  canvas.height = height * dpr;
+  ctx.scale(dpr, dpr);
+}
+
+self.onmessage = ({ data: msg }) => {
+  switch (msg.type) {
+    case "canvas":
+      canvas = msg.canvas;
+      ctx = canvas.getContext("2d");
+      resize(msg);
+      break;
+    case "resize":
+      resize(msg);
+      break;
+    case "catalog":
+      astronomy.setConstellationBounds(msg.bounds);
+      astronomy.setOrbitalElements(msg.orbits);
+      scene.setCatalog(msg.stars, msg.constellations);
+      break;
+    case "draw":
+      postMessage({ type: "drawn", result: scene.drawScene(ctx, msg.scene) });
+      break;
+    case "panels":
+      postMessage({ type: "panels", panels: panels.computePanels(msg.view) });
+      break;
+    case "export":
+      canvas.convertToBlob({ type: "image/png" })
+        .then(blob => postMessage({ type: "blob", blob }))
+        .catch(err => postMessage({ type: "blob", error: String(err) }));
+      break;
+  }
+};
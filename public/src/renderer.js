@@ -0,0 +1,144 @@
+// src/renderer.js
+// Draws scenes (see scene.js) onto the star map canvas and computes the
+// page's panels (see panels.js). Where the browser can hand the canvas to a
+// worker as an OffscreenCanvas, the ephemeris, drawing and panel searches run
+// there and the page stays responsive; otherwise, or if the worker fails to
+// start, they run here. One frame and one panels request are in flight at a
+// time and only the latest of each waits, so fast drags drop frames instead
+// of queueing.
+
+import { drawScene, setCatalog } from "./scene.js";
+import { computePanels } from "./panels.js";
+
+const WORKER_TIMEOUT = 5000;   // ms to wait for the worker before drawing here
+
+export function createRenderer(canvas, onDrawn, onPanels) {
+  let mode = "pending";        // "pending" | "worker" | "local"
+  let worker = null, ctx = null, timer = null;
+  let size = null, catalog = null, latest = null, busy = false;
+  let latestView = null, panelsBusy = false;
+  const blobWaiters = [];
+
+  if (canvas.transferControlToOffscreen && typeof Worker !== "undefined") {
+    worker = new Worker(new URL("./render-worker.js", import.meta.url));
+    worker.onmessage = ({ data: msg }) => {
+      if (msg.type === "ready")  onReady();
+      if (msg.type === "failed") useLocal(msg.message);
+      if (msg.type === "drawn") {
+        busy = false;
+        onDrawn(msg.result);
+        flush();
+      }
+      if (msg.type === "panels") {
+        panelsBusy = false;
+        onPanels(msg.panels);
+        flush();
+      }
+      if (msg.type === "blob") {
+        const { resolve, reject } = blobWaiters.shift();
+        if (msg.error) reject(new Error(msg.error));
+        else resolve(msg.blob);
+      }
+    };
+    // Before the handoff this means the worker couldn't start; after it, a
+    // frame or panels request failed, and the next one may still go through
+    worker.onerror = (e) => {
+      if (mode === "pending") { e.preventDefault(); useLocal(e.message); return; }
+      busy = panelsBusy = false;
+      flush();
+    };
+    timer = setTimeout(() => useLocal("timed out"), WORKER_TIMEOUT);
+  } else {
+    useLocal();
+  }
+
+  function onReady() {
+    if (mode !== "pending") return;
+    clearTimeout(timer);
+    mode = "worker";
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: "canvas", canvas: offscreen, ...size }, [offscreen]);
+    if (catalog) worker.postMessage({ type: "catalog", ...catalog });
+    flush();
+  }
+
+  // Once the page takes a 2D context the canvas can no longer be transferred
+  function useLocal(reason) {
+    if (mode !== "pending") return;
+    if (reason) console.warn("Star map worker unavailable, drawing on the page:", reason);
+    clearTimeout(timer);
+    if (worker) worker.terminate();
+    worker = null;
+    mode = "local";
+    ctx = canvas.getContext("2d");
+    if (size) resizeLocal();
+    if (catalog) setCatalog(catalog.stars, catalog.constellations);
+    flush();
+  }
+
+  function resizeLocal() {
+    canvas.width  = size.width  * size.dpr;
+    canvas.height = size.height * size.dpr;
+    ctx.scale(size.dpr, size.dpr);
+  }
+
+  function flush() {
+    if (mode === "pending") return;
+    if (latest && !busy) {
+      const scene = latest;
+      latest = null;
+      if (mode === "local") {
+        onDrawn(drawScene(ctx, scene));
+      } else {
+        busy = true;
+        worker.postMessage({ type: "draw", scene });
+      }
+    }
+    if (latestView && !panelsBusy) {
+      const view = latestView;
+      latestView = null;
+      if (mode === "local") {
+        onPanels(computePanels(view));
+      } else {
+        panelsBusy = true;
+        worker.postMessage({ type: "panels", view });
+      }
+    }
+  }
+
+  return {
+    // Canvas size in CSS pixels and the device pixel ratio
+    resize(width, height, dpr) {
+      size = { width, height, dpr };
+      if (mode === "worker") worker.postMessage({ type: "resize", ...size });
+      if (mode === "local")  resizeLocal();
+    },
+    // Star and constellation catalogs plus the boundary and orbit data the
+    // worker's own copy of astronomy.js needs; the page has already set those
+    setCatalog(data) {
+      catalog = data;
+      if (mode === "worker") worker.postMessage({ type: "catalog", ...data });
+      if (mode === "local")  setCatalog(data.stars, data.constellations);
+    },
+    draw(scene) {
+      latest = scene;
+      flush();
+    },
+    // Panel data for the view, passed to onPanels (see computePanels)
+    panels(view) {
+      latestView = view;
+      flush();
+    },
+    // PNG of what's on the canvas; rejects if the canvas can't be encoded
+    toBlob() {
+      if (mode !== "worker") {
+        return new Promise((resolve, reject) => canvas.toBlob(
+          blob => blob ? resolve(blob) : reject(new Error("Canvas export failed")), "image/png"));
+      }
+      return new Promise((resolve, reject) => {
+        blobWaiters.push({ resolve, reject });
+        worker.postMessage({ type: "export" });
+      });
+    },
+  };
+}
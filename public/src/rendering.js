@@ -1,26 +1,330 @@
 // src/rendering.js
-// Canvas star map rendering. Stereographic projection centered on Sun.
-// Sun is always fixed at screen center.
+// Canvas star map rendering: stereographic, orthographic, gnomonic or
+// Mollweide projection, seen from inside the sphere (east to the left).
+// The camera either keeps the Sun fixed at screen center, looks freely about
+// the equatorial sky, or shows the local sky over the observer in alt/az.
 
-// ─── Projection (inside celestial sphere, looking outward) ─────────────────
-export function project(ra, dec, centerRA) {
+// ─── Projections ────────────────────────────────────────────────────────────
+// Maps (lon, lat) onto the plane tangent at `center` ({lon, lat}, degrees).
+// x grows toward increasing longitude, y grows southward (canvas down); one
+// unit is one radian at the center. null where the projection can't show
+// the point: the far hemisphere (orthographic), beyond ~78° (gnomonic),
+// near the antipode (stereographic). Mollweide shows the whole sphere.
+export const PROJECTIONS = {
+  stereographic: "Stereographic",
+  orthographic:  "Orthographic",
+  gnomonic:      "Gnomonic",
+  mollweide:     "Mollweide",
+};
+
+export function project(lon, lat, center, projection = "stereographic") {
+  const toRad = d => d * Math.PI / 180;
+  const dl = toRad(lon - center.lon), p = toRad(lat), p0 = toRad(center.lat);
+  const cosc = Math.sin(p0) * Math.sin(p) + Math.cos(p0) * Math.cos(p) * Math.cos(dl);
+  const X = Math.cos(p) * Math.sin(dl);                                          // toward +lon
+  const Y = Math.cos(p0) * Math.sin(p) - Math.sin(p0) * Math.cos(p) * Math.cos(dl); // toward +lat
+
+  switch (projection) {
+    case "orthographic":
+      return cosc < 0 ? null : { x: X, y: -Y };
+    case "gnomonic":
+      return cosc < 0.2 ? null : { x: X / cosc, y: -Y / cosc };
+    case "mollweide": {
+      // Longitude/latitude relative to the center, then the equal-area
+      // ellipse; the auxiliary angle θ solves 2θ + sin 2θ = π sin φ
+      const phi = Math.asin(Math.max(-1, Math.min(1, Y)));
+      const lam = Math.atan2(X, cosc);
+      let th = phi;
+      for (let i = 0; i < 10 && Math.abs(Math.cos(th)) > 1e-9; i++) {
+        const f = 2 * th + Math.sin(2 * th) - Math.PI * Math.sin(phi);
+        th -= f / (2 + 2 * Math.cos(2 * th));
+      }
+      return { x: 2 * Math.SQRT2 / Math.PI * lam * Math.cos(th), y: -Math.SQRT2 * Math.sin(th) };
+    }
+    default: {
+      if (cosc < -0.6) return null;
+      const k = 2 / (1 + cosc);
+      return { x: k * X, y: -k * Y };
+    }
+  }
+}
+
+// ─── Frame rotation (e.g. J2000 → mean equator of date) ─────────────────────
+// m is a 3×3 rotation matrix (rows); null leaves coordinates untouched.
+// `inverse` applies the transpose (equator of date → J2000).
+function toFrame(m, ra, dec, inverse = false) {
+  if (!m) return { ra, dec };
+  const toRad = d => d * Math.PI / 180;
+  const r = toRad(ra), d = toRad(dec);
+  const x = Math.cos(d) * Math.cos(r), y = Math.cos(d) * Math.sin(r), z = Math.sin(d);
+  const u = inverse
+    ? [0, 1, 2].map(i => m[0][i] * x + m[1][i] * y + m[2][i] * z)
+    : m.map(row => row[0] * x + row[1] * y + row[2] * z);
+  return {
+    ra:  Math.atan2(u[1], u[0]) * 180 / Math.PI,
+    dec: Math.asin(Math.max(-1, Math.min(1, u[2]))) * 180 / Math.PI
+  };
+}
+
+// ─── Equator of date → horizon ──────────────────────────────────────────────
+// `lst` is the local sidereal time in degrees. Azimuth from north through
+// east; altitude lifted by standard refraction (Saemundsson) so the horizon
+// agrees with the almanac's rise and set times.
+function toHorizon(ra, dec, lat, lst) {
   const toRad = d => d * Math.PI / 180;
-  let dra = ra - centerRA;
-  if (dra > 180) dra -= 360;
-  if (dra < -180) dra += 360;
+  const H = toRad(lst - ra), d = toRad(dec), phi = toRad(lat);
+  const sinAlt = Math.sin(phi) * Math.sin(d) + Math.cos(phi) * Math.cos(d) * Math.cos(H);
+  let alt = Math.asin(Math.max(-1, Math.min(1, sinAlt))) * 180 / Math.PI;
+  const az = Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(d) * Math.cos(phi))
+           * 180 / Math.PI + 180;
+  if (alt > -1) alt += 1.02 / Math.tan(toRad(alt + 10.3 / (alt + 5.11))) / 60;
+  return { alt, az };
+}
+
+// ─── Atmosphere ─────────────────────────────────────────────────────────────
+// Extinction in magnitudes per airmass (clear sea-level sky), and the airmass
+// along a line of sight at apparent altitude `alt` (Kasten & Young 1989).
+const EXTINCTION = 0.25;
+function airmass(alt) {
+  return 1 / (Math.sin(alt * Math.PI / 180) + 0.50572 * Math.pow(alt + 6.07995, -1.6364));
+}
+
+// Naked-eye limit: 6.5 under a dark sky, falling through twilight to about −1
+// with the Sun up, so only the brightest stars and planets survive daylight.
+function limitingMagnitude(sunAlt) {
+  if (sunAlt <= -18) return 6.5;
+  if (sunAlt >= 0)   return -1;
+  return -1 - 7.5 * sunAlt / 18;
+}
+
+// Sky gradient from night (Sun below −18°) to full day (Sun above +6°)
+function drawSky(ctx, w, h, sunAlt) {
+  const t   = Math.max(0, Math.min(1, (sunAlt + 18) / 24));
+  const mix = (a, b) => a.map((v, i) => Math.round(v + (b[i] - v) * t)).join(',');
+  const g = ctx.createLinearGradient(0, 0, 0, h);
+  g.addColorStop(0, `rgb(${mix([6, 6, 16],  [46, 98, 164])})`);
+  g.addColorStop(1, `rgb(${mix([18, 20, 38], [150, 192, 228])})`);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, w, h);
+}
+
+// Ground: the sky below the horizon, filled as a mesh of 10° cells so it
+// follows the horizon's curve in any projection; then the horizon line,
+// azimuth ticks and cardinal points. `at(az, alt)` gives a screen point.
+const CARDINALS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+function drawGround(ctx, sunAlt, at, seam) {
+  const day = Math.max(0, Math.min(1, (sunAlt + 6) / 12));
+  const ground = `rgb(${Math.round(18 + 30 * day)},${Math.round(28 + 40 * day)},${Math.round(18 + 22 * day)})`;
+  ctx.fillStyle = ctx.strokeStyle = ground;
+  ctx.lineWidth = 1;
+  for (let alt = 0; alt > -90; alt -= 10) {
+    for (let az = 0; az < 360; az += 10) {
+      const q = [at(az, alt), at(az + 10, alt), at(az + 10, alt - 10), at(az, alt - 10)];
+      if (q.some(p => !p) || q.some((p, i) => i && seam(p.raw, q[0].raw))) continue;
+      ctx.beginPath();
+      q.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke(); // hide hairline gaps between cells
+    }
+  }
+
+  ctx.strokeStyle = 'rgba(212,175,55,0.6)';
+  strokeCurve(ctx, range(0, 360, 2).map(az => at(az, 0)), seam);
+
+  ctx.fillStyle = '#f4e4b7';
+  ctx.textAlign = 'center';
+  for (let az = 0; az < 360; az += 15) {
+    const p = at(az, 0), q = at(az, -1.5);
+    if (!p || !q) continue;
+    const cardinal = az % 45 === 0;
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+    ctx.lineTo(p.x + (q.x - p.x) * (cardinal ? 1 : 0.5), p.y + (q.y - p.y) * (cardinal ? 1 : 0.5));
+    ctx.stroke();
+    if (cardinal) {
+      ctx.font = az % 90 === 0 ? 'bold 14px sans-serif' : '11px sans-serif';
+      ctx.fillText(CARDINALS[az / 45], p.x, p.y + 24);
+    }
+  }
+}
+
+// ─── Curves ─────────────────────────────────────────────────────────────────
+// Screen points carry the plane point as `raw` so seams can be detected.
+const range = (from, to, step) =>
+  Array.from({ length: Math.floor((to - from) / step) + 1 }, (_, i) => from + i * step);
+
+// Polyline through screen points, broken at nulls and at the Mollweide seam
+function strokeCurve(ctx, pts, seam) {
+  let prev = null;
+  ctx.beginPath();
+  pts.forEach(p => {
+    if (p && prev && !seam(p.raw, prev.raw)) ctx.lineTo(p.x, p.y);
+    else if (p) ctx.moveTo(p.x, p.y);
+    prev = p;
+  });
+  ctx.stroke();
+}
+
+// ─── Reference overlays ─────────────────────────────────────────────────────
+// Ecliptic, zodiac band, celestial equator and RA/Dec grid in the frame of
+// date; the galactic equator from its J2000 definition. `at(ra, dec)` and
+// `atJ2000(ra, dec)` give screen points for each frame.
+export const OVERLAYS = {
+  ecliptic: "Ecliptic",
+  band:     "Zodiac band",
+  equator:  "Equator",
+  grid:     "RA/Dec grid",
+  galactic: "Galactic",
+  bounds:   "Boundaries",
+};
 
-  // Points more than 90° from center are on the back half — don't draw them.
-  // This also prevents the normalization seam from producing screen-wide lines.
-  if (Math.abs(dra) > 90) return null;
+function eclipticToEquator(lon, lat, eps) {
+  const toRad = d => d * Math.PI / 180;
+  const l = toRad(lon), b = toRad(lat), e = toRad(eps);
+  return {
+    ra:  Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l)) * 180 / Math.PI,
+    dec: Math.asin(Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l)) * 180 / Math.PI
+  };
+}
 
-  // Simple angular mapping - we're inside looking out
-  // X = RA offset, Y = Dec
+// Galactic longitude on the galactic equator → J2000 RA/Dec (rows of the
+// equatorial-to-galactic rotation, IAU 1958 pole and origin)
+const GALACTIC = [
+  [-0.0548755604, -0.8734370902, -0.4838350155],
+  [ 0.4941094279, -0.4448296300,  0.7469822445],
+];
+function galacticToEquator(l) {
+  const c = Math.cos(l * Math.PI / 180), s = Math.sin(l * Math.PI / 180);
+  const v = [0, 1, 2].map(i => GALACTIC[0][i] * c + GALACTIC[1][i] * s);
   return {
-    x:  toRad(dra),
-    y: -toRad(dec)
+    ra:  Math.atan2(v[1], v[0]) * 180 / Math.PI,
+    dec: Math.asin(v[2]) * 180 / Math.PI
   };
 }
 
+function drawOverlays(ctx, overlays, obliquity, at, atJ2000, seam) {
+  const ecl = (lon, lat) => {
+    const q = eclipticToEquator(lon, lat, obliquity);
+    return at(q.ra, q.dec);
+  };
+  ctx.lineWidth = 1;
+
+  if (overlays.has("grid")) {
+    ctx.strokeStyle = 'rgba(148,163,184,0.18)';
+    range(0, 345, 15).forEach(ra => strokeCurve(ctx, range(-80, 80, 5).map(dec => at(ra, dec)), seam));
+    range(-75, 75, 15).forEach(dec => strokeCurve(ctx, range(0, 360, 3).map(ra => at(ra, dec)), seam));
+    ctx.fillStyle = 'rgba(148,163,184,0.5)';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'left';
+    range(0, 345, 15).forEach(ra => {
+      const p = at(ra, 0);
+      if (p) ctx.fillText(`${ra / 15}h`, p.x + 3, p.y - 3);
+    });
+  }
+
+  // Zodiac band: one polygon per unbroken run of longitudes between ±8°
+  if (overlays.has("band") && obliquity !== undefined) {
+    ctx.fillStyle = 'rgba(212,175,55,0.07)';
+    let run = [];
+    const flush = () => {
+      if (run.length > 1) {
+        ctx.beginPath();
+        run.forEach(([top], i) => i ? ctx.lineTo(top.x, top.y) : ctx.moveTo(top.x, top.y));
+        run.slice().reverse().forEach(([, bottom]) => ctx.lineTo(bottom.x, bottom.y));
+        ctx.closePath();
+        ctx.fill();
+      }
+      run = [];
+    };
+    range(0, 360, 2).forEach(lon => {
+      const pair = [ecl(lon, 8), ecl(lon, -8)];
+      const last = run[run.length - 1];
+      if (!pair[0] || !pair[1]) return flush();
+      if (last && (seam(pair[0].raw, last[0].raw) || seam(pair[1].raw, last[1].raw))) flush();
+      run.push(pair);
+    });
+    flush();
+    ctx.strokeStyle = 'rgba(212,175,55,0.18)';
+    [8, -8].forEach(lat => strokeCurve(ctx, range(0, 360, 2).map(lon => ecl(lon, lat)), seam));
+  }
+
+  if (overlays.has("equator")) {
+    ctx.strokeStyle = 'rgba(125,232,232,0.45)';
+    strokeCurve(ctx, range(0, 360, 2).map(ra => at(ra, 0)), seam);
+  }
+
+  if (overlays.has("galactic")) {
+    ctx.strokeStyle = 'rgba(196,181,253,0.4)';
+    strokeCurve(ctx, range(0, 360, 2).map(l => {
+      const q = galacticToEquator(l);
+      return atJ2000(q.ra, q.dec);
+    }), seam);
+  }
+
+  // Ecliptic with longitude ticks every 10°, labelled every 30°
+  if (overlays.has("ecliptic") && obliquity !== undefined) {
+    ctx.strokeStyle = 'rgba(251,191,36,0.55)';
+    strokeCurve(ctx, range(0, 360, 2).map(lon => ecl(lon, 0)), seam);
+    ctx.fillStyle = 'rgba(251,191,36,0.75)';
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    range(0, 350, 10).forEach(lon => {
+      const len = lon % 30 === 0 ? 1.8 : 1;
+      const a = ecl(lon, len), b = ecl(lon, -len);
+      if (!a || !b) return;
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+      if (lon % 30 === 0) {
+        const t = ecl(lon, -4);
+        if (t) ctx.fillText(`${lon}°`, t.x, t.y + 3);
+      }
+    });
+  }
+}
+
+// ─── Constellation boundaries and names ─────────────────────────────────────
+// `outlines` is {edges, regions} in J2000 (getConstellationOutlines); `at`
+// projects J2000 coordinates to screen points. The active constellation's
+// region is filled so it's clear which side of a boundary the Sun is on.
+function drawBoundaries(ctx, outlines, activeConstId, at, seam) {
+  const active = outlines.regions.find(r => r.id === activeConstId);
+  if (active) {
+    ctx.fillStyle = 'rgba(212,175,55,0.09)';
+    ctx.beginPath();
+    active.rings.forEach(ring => {
+      const pts = ring.map(([ra, dec]) => at(ra, dec)).filter(Boolean);
+      if (pts.some((p, i) => i && seam(p.raw, pts[i - 1].raw))) return;
+      pts.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+      ctx.closePath();
+    });
+    ctx.fill();
+  }
+
+  ctx.strokeStyle = 'rgba(148,163,184,0.35)';
+  ctx.lineWidth = 0.8;
+  ctx.setLineDash([3, 4]);
+  outlines.edges.forEach(edge => strokeCurve(ctx, edge.map(([ra, dec]) => at(ra, dec)), seam));
+  ctx.setLineDash([]);
+}
+
+// `names` maps IAU abbreviations to the label text
+function drawConstellationLabels(ctx, regions, names, activeConstId, at) {
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  regions.forEach(r => r.labels.forEach(l => {
+    const p = at(l.ra, l.dec);
+    if (!p) return;
+    const active = r.id === activeConstId;
+    ctx.font = active ? 'bold 12px sans-serif' : '10px sans-serif';
+    ctx.fillStyle = active ? 'rgba(244,228,183,0.95)' : 'rgba(148,163,184,0.55)';
+    ctx.fillText(names[r.id] || r.id, p.x, p.y);
+  }));
+  ctx.textBaseline = 'alphabetic';
+}
+
 // ─── Star shape (smooth 4-point with quadratic curves) ─────────────────────
 function drawStarShape4(ctx, x, y, size, color, glowColor) {
   ctx.save();
@@ -85,8 +389,10 @@ function drawSun(ctx, x, y) {
 }
 
 // ─── Moon (with accurate phase rendering) ──────────────────────────────────
-function drawMoon(ctx, x, y, phase) {
+// `limb` is the screen angle (radians, canvas convention) the bright limb faces
+function drawMoon(ctx, x, y, moon, limb) {
   const size = 10;
+  const k = moon.illumination;
 
   // Glow
   const glow = ctx.createRadialGradient(x, y, 0, x, y, size * 2.5);
@@ -103,24 +409,16 @@ function drawMoon(ctx, x, y, phase) {
   ctx.arc(x, y, size, 0, Math.PI * 2);
   ctx.fill();
 
-  // Lit portion
-  const inv = 1 - phase; // invert to match visual convention
+  // Lit portion, drawn with the bright limb along +x then rotated into place:
+  // the sunward half disk, trimmed (crescent) or extended (gibbous) by the
+  // terminator ellipse with semi-axis |1 − 2k|
   ctx.save();
-  ctx.beginPath();
-  ctx.arc(x, y, size, 0, Math.PI * 2);
-  ctx.clip();
-
+  ctx.translate(x, y);
+  ctx.rotate(limb);
   ctx.fillStyle = '#f1f5f9';
   ctx.beginPath();
-  if (inv < 0.5) {
-    const t = inv * 2;
-    ctx.arc(x, y, size, -Math.PI / 2, Math.PI / 2, true);
-    ctx.ellipse(x, y, (1 - t) * size, size, 0, Math.PI / 2, -Math.PI / 2, false);
-  } else {
-    const t = (inv - 0.5) * 2;
-    ctx.arc(x, y, size, Math.PI / 2, -Math.PI / 2, true);
-    ctx.ellipse(x, y, t * size, size, 0, -Math.PI / 2, Math.PI / 2, false);
-  }
+  ctx.arc(0, 0, size, -Math.PI / 2, Math.PI / 2, false);
+  ctx.ellipse(0, 0, Math.abs(1 - 2 * k) * size, size, 0, Math.PI / 2, -Math.PI / 2, k < 0.5);
   ctx.closePath();
   ctx.fill();
   ctx.restore();
@@ -133,11 +431,11 @@ function drawMoon(ctx, x, y, phase) {
   ctx.stroke();
 
   // Label
-  drawLabel(ctx, x, y, size, '☽ Moon', '#e2e8f0');
+  drawLabel(ctx, x, y, size, `☽ Moon ${Math.round(k * 100)}%`, '#e2e8f0');
 }
 
 // ─── Planet ─────────────────────────────────────────────────────────────────
-function drawPlanet(ctx, x, y, def) {
+function drawPlanet(ctx, x, y, def, retrograde = false) {
   // Glow
   const glow = ctx.createRadialGradient(x, y, 0, x, y, def.size * 2.5);
   glow.addColorStop(0, def.color + '99');
@@ -163,6 +461,18 @@ function drawPlanet(ctx, x, y, def) {
   }
 
   drawLabel(ctx, x, y, def.size, `${def.symbol} ${def.name}`, def.color);
+
+  // Retrograde badge above-left of the body
+  if (retrograde) {
+    ctx.save();
+    ctx.fillStyle = '#f87171';
+    ctx.font = 'bold 10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.shadowColor = 'black';
+    ctx.shadowBlur = 4;
+    ctx.fillText('℞', x - def.size - 3, y - def.size - 2);
+    ctx.restore();
+  }
 }
 
 // ─── Special point (node = diamond, others = circle) ───────────────────────
@@ -246,6 +556,11 @@ export const PLANETS = {
   saturn:   { name:"Saturn",   symbol:"♄", color:"#d4a855", size:4.5, hasRings:true  },
   uranus:   { name:"Uranus",   symbol:"⛢", color:"#7de8e8", size:3.5, hasRings:false },
   neptune:  { name:"Neptune",  symbol:"♆", color:"#3a5fcd", size:3.5, hasRings:false },
+  pluto:    { name:"Pluto",    symbol:"♇", color:"#b08d7a", size:2.5, hasRings:false },
+  ceres:    { name:"Ceres",    symbol:"⚳", color:"#9ca36b", size:2,   hasRings:false },
+  pallas:   { name:"Pallas",   symbol:"⚴", color:"#8fb3c9", size:2,   hasRings:false },
+  juno:     { name:"Juno",     symbol:"⚵", color:"#d98cb3", size:2,   hasRings:false },
+  vesta:    { name:"Vesta",    symbol:"⚶", color:"#e0a458", size:2,   hasRings:false },
 };
 
 export const SPECIALS = {
@@ -254,28 +569,194 @@ export const SPECIALS = {
   chiron:    { name:"Chiron",     symbol:"⚕", color:"#f472b6", size:2.5, isNode:false },
 };
 
-// ─── Main draw ──────────────────────────────────────────────────────────────
-export function drawStarMap(ctx, opts) {
-  const dpr = window.devicePixelRatio || 1;
-  const w   = ctx.canvas.width  / dpr;
-  const h   = ctx.canvas.height / dpr;
-  const scale = Math.min(w, h) * 1.0; // natural scale, inside the sphere
-  const { stars, constellations, sunRA, sunDec, activeConstId,
-          moon, planets, specials, altitude } = opts;
+export const LUMINARIES = {
+  sun:  { name:"Sun",  symbol:"☉", color:"#fbbf24" },
+  moon: { name:"Moon", symbol:"☽", color:"#e2e8f0" },
+};
 
-  ctx.clearRect(0, 0, w, h);
+// ─── Star sprites ───────────────────────────────────────────────────────────
+// Stars are stamped from sprites pre-rendered per radius (0.1 px steps),
+// color bucket and glow, at device resolution; opacity comes from
+// globalAlpha. OffscreenCanvas where available, so this also runs in a worker.
+const sprites = new Map();
 
-  // Calculate Sun position to keep it centered
-  const sunProj = project(sunRA, sunDec, sunRA);
-  const sunOffsetY = sunProj ? sunProj.y * scale : 0;
-  
-  // Adjust center: Sun at vertical center (slightly higher to account for controls)
-  const cx = w / 2;
-  const cy = h * 0.42 - sunOffsetY;
+function makeCanvas(w, h) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(w, h);
+  return Object.assign(document.createElement('canvas'), { width: w, height: h });
+}
 
-  // Earth/horizon
-  if (altitude !== undefined && altitude !== null) {
-    drawEarth(ctx, w, h, altitude);
+function starSprite(r, bv, glow, dpr) {
+  const key = `${r}|${starColor(bv)}|${glow}|${dpr}`;
+  let sprite = sprites.get(key);
+  if (!sprite) {
+    const half = Math.ceil(r * (glow ? 4 : 1.2)) + 1;
+    const canvas = makeCanvas(Math.ceil(half * 2 * dpr), Math.ceil(half * 2 * dpr));
+    const sctx = canvas.getContext('2d');
+    sctx.scale(dpr, dpr);
+    drawStarShape4(sctx, half, half, r, starColor(bv), glow ? starColor(bv, 0.4) : null);
+    sprite = { canvas, half };
+    sprites.set(key, sprite);
+  }
+  return sprite;
+}
+
+// ─── Sky tiles ──────────────────────────────────────────────────────────────
+// Stars bucketed into ~10° J2000 tiles, built once per catalog. Each tile
+// keeps its center direction and angular radius, so a frame only visits the
+// tiles that can reach the screen.
+const tileIndex = new WeakMap();
+
+function unitVector(ra, dec) {
+  const r = ra * Math.PI / 180, d = dec * Math.PI / 180;
+  return [Math.cos(d) * Math.cos(r), Math.cos(d) * Math.sin(r), Math.sin(d)];
+}
+
+function angleBetween(a, b) {
+  const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  return Math.acos(Math.max(-1, Math.min(1, dot))) * 180 / Math.PI;
+}
+
+function skyTiles(stars) {
+  let tiles = tileIndex.get(stars);
+  if (tiles) return tiles;
+
+  const byKey = new Map();
+  stars.forEach(s => {
+    const band = Math.min(17, Math.floor((s.dec + 90) / 10));
+    const cols = Math.max(1, Math.round(36 * Math.cos((band * 10 - 85) * Math.PI / 180)));
+    const col  = Math.min(cols - 1, Math.floor((((s.ra % 360) + 360) % 360) / 360 * cols));
+    const key  = band * 64 + col;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(s);
+  });
+
+  tiles = [...byKey.values()].map(members => {
+    const vs = members.map(s => unitVector(s.ra, s.dec));
+    const sum = vs.reduce((a, v) => [a[0] + v[0], a[1] + v[1], a[2] + v[2]], [0, 0, 0]);
+    const len = Math.hypot(...sum);
+    const center = sum.map(x => x / len);
+    return { stars: members, center, radius: Math.max(...vs.map(v => angleBetween(center, v))) };
+  });
+  tileIndex.set(stars, tiles);
+  return tiles;
+}
+
+// Angular radius (degrees) that can land within `rho` plane units of the center
+function viewRadius(rho, projection) {
+  const deg = x => x * 180 / Math.PI;
+  switch (projection) {
+    case "orthographic": return rho >= 1 ? 90 : deg(Math.asin(rho));
+    case "gnomonic":     return deg(Math.atan(rho));
+    case "mollweide":    return 180;
+    default:             return deg(2 * Math.atan(rho / 2));
+  }
+}
+
+// Horizon → equator of date, the inverse of toHorizon without refraction
+function fromHorizon(az, alt, lat, lst) {
+  const toRad = d => d * Math.PI / 180;
+  const A = toRad(az), h = toRad(alt), phi = toRad(lat);
+  const sinDec = Math.sin(phi) * Math.sin(h) + Math.cos(phi) * Math.cos(h) * Math.cos(A);
+  const H = Math.atan2(-Math.sin(A) * Math.cos(h),
+                       Math.cos(phi) * Math.sin(h) - Math.sin(phi) * Math.cos(h) * Math.cos(A));
+  return {
+    ra:  lst - H * 180 / Math.PI,
+    dec: Math.asin(Math.max(-1, Math.min(1, sinDec))) * 180 / Math.PI
+  };
+}
+
+// ─── Static layer cache ─────────────────────────────────────────────────────
+// Overlays, boundaries, names, constellation lines and stars are drawn to an
+// offscreen layer a margin larger than the screen. While the view only
+// shifts — a few probe stars all land within a pixel of one common offset —
+// the layer is blitted at that offset instead of being redrawn, which is what
+// keeps dragging through time smooth. Stars and their names go on a canvas of
+// their own, so the fade toward the screen edges can follow the view center
+// each frame (see drawFadedStars).
+const LAYER_MARGIN = 0.25;            // of the larger screen side
+const PROBE_TOLERANCE = 0.75;         // px
+let layer = null;
+
+function layerKey(opts, v) {
+  const { overlays, obliquity, activeConstId, horizon, camera = {} } = opts;
+  return [
+    v.w, v.h, v.dpr, camera.projection, camera.zoom, activeConstId, !!horizon,
+    overlays ? [...overlays].join() : '', obliquity === undefined ? '' : obliquity.toFixed(2),
+    v.limit === Infinity ? '' : v.limit.toFixed(1)
+  ].join('|');
+}
+
+// Offset at which the cached layer still matches the view, or null
+function layerOffset(opts, v) {
+  if (!layer || layer.key !== layerKey(opts, v) || layer.probes.length < 3) return null;
+  for (const ref of ['stars', 'constellations', 'outlines', 'constNames']) {
+    if (layer.refs[ref] !== opts[ref]) return null;
+  }
+  let dx = null, dy = null;
+  for (const pr of layer.probes) {
+    const p = v.proj(pr.ra, pr.dec);
+    if (!p) return null;
+    const ox = v.cx + p.x * v.scale - pr.x, oy = v.cy + p.y * v.scale - pr.y;
+    if (dx === null) { dx = ox; dy = oy; }
+    else if (Math.abs(ox - dx) > PROBE_TOLERANCE || Math.abs(oy - dy) > PROBE_TOLERANCE) return null;
+  }
+  return Math.abs(dx) < layer.margin * 0.8 && Math.abs(dy) < layer.margin * 0.8 ? { dx, dy } : null;
+}
+
+function renderLayer(opts, v) {
+  const margin = Math.round(Math.max(v.w, v.h) * LAYER_MARGIN);
+  const lw = Math.ceil((v.w + 2 * margin) * v.dpr), lh = Math.ceil((v.h + 2 * margin) * v.dpr);
+  if (!layer || layer.canvas.width !== lw || layer.canvas.height !== lh) {
+    layer = { canvas: makeCanvas(lw, lh), stars: makeCanvas(lw, lh) };
+  }
+  const [lctx, sctx] = [layer.canvas, layer.stars].map(c => {
+    const c2d = c.getContext('2d');
+    c2d.setTransform(1, 0, 0, 1, 0, 0);
+    c2d.clearRect(0, 0, lw, lh);
+    c2d.setTransform(v.dpr, 0, 0, v.dpr, margin * v.dpr, margin * v.dpr);
+    return c2d;
+  });
+
+  const hits = drawStaticLayer(lctx, sctx, opts, v, margin);
+
+  // Probes: the stars nearest the center and four points around it
+  const anchors = [[0.5, 0.42], [0.2, 0.2], [0.8, 0.2], [0.2, 0.8], [0.8, 0.8]];
+  const probes = anchors.map(([fx, fy]) => {
+    let best = null, bestD = Infinity;
+    hits.forEach(hit => {
+      const d = Math.hypot(hit.x - fx * v.w, hit.y - fy * v.h);
+      if (d < bestD) { best = hit; bestD = d; }
+    });
+    return best;
+  }).filter((p, i, all) => p && all.indexOf(p) === i);
+
+  Object.assign(layer, {
+    key: layerKey(opts, v), margin, hits, probes,
+    refs: { stars: opts.stars, constellations: opts.constellations,
+            outlines: opts.outlines, constNames: opts.constNames }
+  });
+}
+
+// Draws the static layer in screen coordinates (the callers' transforms add
+// the margin), stars and their names on `starCtx`. Returns star hits out to
+// the margin.
+function drawStaticLayer(ctx, starCtx, opts, v, margin) {
+  const { stars, constellations, activeConstId, horizon,
+          overlays, obliquity, outlines, constNames } = opts;
+  const { proj, projDate, seam, cx, cy, scale, w, h, zoom, limit } = v;
+
+  // Reference lines and constellation boundaries, beneath everything else
+  const screen = p => p && { x: cx + p.x * scale, y: cy + p.y * scale, raw: p };
+  const atJ2000 = (ra, dec) => screen(proj(ra, dec));
+  if (overlays && overlays.size) {
+    drawOverlays(ctx, overlays, obliquity,
+                 (ra, dec) => screen(projDate(ra, dec)), atJ2000, seam);
+  }
+  if (outlines && overlays && overlays.has("bounds")) {
+    drawBoundaries(ctx, outlines, activeConstId, atJ2000, seam);
+  }
+  if (outlines && constNames) {
+    drawConstellationLabels(ctx, outlines.regions, constNames, activeConstId, atJ2000);
   }
 
   // Constellation lines
@@ -287,74 +768,459 @@ export function drawStarMap(ctx, opts) {
     ctx.shadowColor = 'rgba(212,175,55,0.6)';
 
     c.lines.forEach(line => {
-      let started = false;
+      let prev = null;
       ctx.beginPath();
       for (const [ra, dec] of line) {
-        const p = project(ra, dec, sunRA);
-        if (!p) { started = false; continue; }
+        const p = proj(ra, dec);
+        if (!p) { prev = null; continue; }
         const px = cx + p.x * scale;
         const py = cy + p.y * scale;
-        if (!started) { ctx.moveTo(px, py); started = true; }
-        else           ctx.lineTo(px, py);
+        if (!prev || seam(p, prev)) ctx.moveTo(px, py);
+        else                        ctx.lineTo(px, py);
+        prev = p;
       }
       ctx.stroke();
     });
   });
   ctx.shadowBlur = 0;
 
-  // Stars (shadows only for bright stars, mag < 3)
-  // Fade stars based on distance from center
-  stars.forEach(s => {
-    const p = project(s.ra, s.dec, sunRA);
+  // Only tiles within reach of the layer: its farthest corner from the view
+  // center, as an angle, plus the tile's own radius
+  const rho = Math.hypot(Math.max(cx, w - cx) + margin, Math.max(cy, h - cy) + margin) / scale;
+  const reach = viewRadius(rho, v.projection);
+  const tiles = skyTiles(stars).filter(t => angleBetween(t.center, v.centerJ2000) <= reach + t.radius);
+
+  const hits = [];
+  const named = [];
+  const labelMag = 2 + 1.5 * Math.log2(Math.max(1, zoom));
+
+  // Stars (shadows only for bright stars, mag < 3), at full strength except
+  // in horizon mode, which dims them by extinction and drops those fainter
+  // than the sky allows
+  tiles.forEach(tile => tile.stars.forEach(s => {
+    const p = proj(s.ra, s.dec);
     if (!p) return;
     const px = cx + p.x * scale;
     const py = cy + p.y * scale;
-    
-    // Calculate distance from center (0 at center, 1 at edge)
-    const distX = (px - cx) / (w / 2);
-    const distY = (py - cy) / (h / 2);
-    const dist = Math.sqrt(distX * distX + distY * distY);
-    
-    // Fade opacity: 1.0 at center, 0.2 at edges
-    const opacity = Math.max(0.2, 1.0 - dist * 0.8);
-    
-    const r = starRadius(s.mag);
-    const baseColor = starColor(s.bv);
-    const fadedColor = starColor(s.bv, opacity);
-    const glowColor = s.mag < 3 ? starColor(s.bv, opacity * 0.4) : null;
-    
-    drawStarShape4(ctx, px, py, r, fadedColor, glowColor);
+    if (px < -margin || px > w + margin || py < -margin || py > h + margin) return;
+
+    let mag = s.mag, opacity = 1;
+    if (horizon) {
+      if (p.alt < 0) return;
+      mag += EXTINCTION * (airmass(p.alt) - 1);
+      if (mag > limit) return;
+      opacity = Math.min(1, 0.25 + (limit - mag) / 2);
+    }
+
+    const r = starRadius(mag);
+    const sprite = starSprite(Math.round(r * 10) / 10, s.bv, mag < 3, v.dpr);
+    starCtx.globalAlpha = opacity;
+    starCtx.drawImage(sprite.canvas, px - sprite.half, py - sprite.half, sprite.half * 2, sprite.half * 2);
+    hits.push({ star: s, ra: s.ra, dec: s.dec, x: px, y: py, r });
+    if (s.name && mag < labelMag) named.push([s.name, px, py, r, opacity]);
+  }));
+  starCtx.globalAlpha = 1;
+
+  // Proper names of the bright stars, more of them as the view zooms in
+  starCtx.font = '10px sans-serif';
+  starCtx.textAlign = 'left';
+  named.forEach(([name, x, y, r, opacity]) => {
+    starCtx.fillStyle = `rgba(226,232,240,${(0.7 * opacity).toFixed(2)})`;
+    starCtx.fillText(name, x + r + 4, y - r - 2);
+  });
+
+  return hits;
+}
+
+// The star canvas, shifted by (dx, dy), faded by distance from the view
+// center: opacity 1 there, falling linearly to 0.2 at the ellipse through
+// the screen's edges and staying 0.2 beyond. Horizon mode has no fade. The
+// fade is a radial gradient applied through a screen-sized scratch canvas.
+let fadeCanvas = null;
+
+function drawFadedStars(ctx, v, dx, dy) {
+  const { w, h, dpr, cx, cy } = v;
+  const x = dx - layer.margin, y = dy - layer.margin;
+  const lw = layer.stars.width / dpr, lh = layer.stars.height / dpr;
+  if (v.horizon) { ctx.drawImage(layer.stars, x, y, lw, lh); return; }
+
+  const fw = Math.ceil(w * dpr), fh = Math.ceil(h * dpr);
+  if (!fadeCanvas || fadeCanvas.width !== fw || fadeCanvas.height !== fh) fadeCanvas = makeCanvas(fw, fh);
+  const fctx = fadeCanvas.getContext('2d');
+  fctx.globalCompositeOperation = 'source-over';
+  fctx.setTransform(1, 0, 0, 1, 0, 0);
+  fctx.clearRect(0, 0, fw, fh);
+  fctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  fctx.drawImage(layer.stars, x, y, lw, lh);
+
+  // Unit circle → the screen-edge ellipse around the center
+  fctx.globalCompositeOperation = 'destination-in';
+  fctx.setTransform(dpr * w / 2, 0, 0, dpr * h / 2, dpr * cx, dpr * cy);
+  const fade = fctx.createRadialGradient(0, 0, 0, 0, 0, 1);
+  fade.addColorStop(0, 'rgba(0,0,0,1)');
+  fade.addColorStop(1, 'rgba(0,0,0,0.2)');
+  fctx.fillStyle = fade;
+  fctx.fillRect(-2, -2, 4, 4);
+  fctx.globalCompositeOperation = 'source-over';
+
+  ctx.drawImage(fadeCanvas, 0, 0, w, h);
+}
+
+// ─── Main draw ──────────────────────────────────────────────────────────────
+export function drawStarMap(ctx, opts) {
+  const dpr = window.devicePixelRatio || 1;
+  const w   = ctx.canvas.width  / dpr;
+  const h   = ctx.canvas.height / dpr;
+  const { sunRA, sunDec, planets, specials, altitude, frame, trails, horizon,
+          camera = {} } = opts;
+  const { projection = "stereographic", zoom = 1 } = camera;
+  const scale = Math.min(w, h) * zoom; // one radian at the center
+
+  ctx.clearRect(0, 0, w, h);
+
+  // All inputs are J2000; `frame` precesses them to the equator of date.
+  // Equatorial views are centred on `camera.center` (RA/Dec of date) or the
+  // Sun, mirrored so east is on the left as seen from inside the sphere.
+  // Horizon mode centres on `camera.center` as {lon: azimuth, lat: altitude};
+  // azimuth already runs clockwise from north, so needs no mirroring.
+  const sunEq  = toFrame(frame, sunRA, sunDec);
+  const center = camera.center || { lon: sunEq.ra, lat: sunEq.dec };
+  const onPlane = (lon, lat, extra) => {
+    const p = project(lon, lat, center, projection);
+    return p && { x: horizon ? p.x : -p.x, y: p.y, ...extra };
+  };
+  const projDate = horizon
+    ? (ra, dec) => {
+        const { alt, az } = toHorizon(ra, dec, horizon.lat, horizon.lst);
+        return onPlane(az, alt, { alt });
+      }
+    : (ra, dec) => onPlane(ra, dec);
+  const proj = (ra, dec) => {
+    const q = toFrame(frame, ra, dec);
+    return projDate(q.ra, q.dec);
+  };
+  // Successive points that jump across the Mollweide seam
+  const seam = (a, b) => Math.abs(a.x - b.x) > 2;
+
+  // View center sits slightly above the middle to leave room for controls
+  const cx = w / 2;
+  const cy = h * 0.42;
+
+  if (horizon) {
+    drawSky(ctx, w, h, horizon.sun.altitude);
+  } else if (altitude !== undefined && altitude !== null) {
+    // Earth/horizon
+    drawEarth(ctx, w, h, altitude);
+  }
+
+  // Bodies carrying accurate topocentric alt/az (horizon mode) use it directly
+  const bodyProj = (pos) => {
+    if (!horizon || !pos.altAz) return proj(pos.ra, pos.dec);
+    return onPlane(pos.altAz.azimuth, pos.altAz.altitude, { alt: pos.altAz.altitude });
+  };
+  // Bodies below the horizon show faintly through the ground
+  const belowAlpha = p => horizon && p.alt < 0 ? 0.35 : 1;
+
+  // Static layer: reuse it shifted while the view only translates
+  const centerDate = horizon ? fromHorizon(center.lon, center.lat, horizon.lat, horizon.lst)
+                             : { ra: center.lon, dec: center.lat };
+  const centerJ2000 = toFrame(frame, centerDate.ra, centerDate.dec, true);
+  const v = {
+    proj, projDate, seam, cx, cy, scale, w, h, dpr, zoom, projection, horizon,
+    limit: horizon ? limitingMagnitude(horizon.sun.altitude) : Infinity,
+    centerJ2000: unitVector(centerJ2000.ra, centerJ2000.dec)
+  };
+  let offset = layerOffset(opts, v);
+  if (!offset) {
+    renderLayer(opts, v);
+    offset = { dx: 0, dy: 0 };
+  }
+  const { dx, dy } = offset;
+  ctx.drawImage(layer.canvas, dx - layer.margin, dy - layer.margin,
+                layer.canvas.width / dpr, layer.canvas.height / dpr);
+  drawFadedStars(ctx, v, dx, dy);
+
+  // Everything drawn that can be hovered: {x, y, r, ra, dec} plus `star` or
+  // the body `key`, returned to the caller for hit-testing
+  const hits = [];
+  layer.hits.forEach(hit => {
+    const x = hit.x + dx, y = hit.y + dy;
+    if (x >= 0 && x <= w && y >= 0 && y <= h) hits.push({ ...hit, x, y });
   });
 
+  // Planet trails with labelled date ticks
+  if (trails) {
+    trails.forEach(({ key, path }) => {
+      const def = PLANETS[key];
+      if (!def) return;
+      ctx.strokeStyle = def.color + '80';
+      ctx.lineWidth = 1.2;
+      ctx.beginPath();
+      let prev = null;
+      path.forEach(pt => {
+        const p = proj(pt.ra, pt.dec);
+        // Break where the projection drops points and across the seam
+        if (!p || (prev && seam(p, prev))) prev = null;
+        if (!p) return;
+        if (prev) ctx.lineTo(cx + p.x * scale, cy + p.y * scale);
+        else      ctx.moveTo(cx + p.x * scale, cy + p.y * scale);
+        prev = p;
+      });
+      ctx.stroke();
+
+      ctx.fillStyle = def.color + 'cc';
+      ctx.font = '9px sans-serif';
+      ctx.textAlign = 'left';
+      path.forEach(pt => {
+        if (!pt.label) return;
+        const p = proj(pt.ra, pt.dec);
+        if (!p) return;
+        const px = cx + p.x * scale, py = cy + p.y * scale;
+        ctx.beginPath();
+        ctx.arc(px, py, 1.8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillText(pt.label, px + 4, py - 3);
+      });
+    });
+  }
+
+  // Ground covers the lines and stars below the horizon
+  if (horizon) {
+    drawGround(ctx, horizon.sun.altitude, (az, alt) => {
+      const p = onPlane(az, alt);
+      return p && { x: cx + p.x * scale, y: cy + p.y * scale, raw: p };
+    }, seam);
+  }
+
   // Planets
   if (planets) {
     Object.entries(planets).forEach(([id, pos]) => {
       const def = PLANETS[id];
       if (!def || !pos) return;
-      const p = project(pos.ra, pos.dec, sunRA);
+      const p = bodyProj(pos);
       if (!p) return;
-      drawPlanet(ctx, cx + p.x * scale, cy + p.y * scale, def);
+      ctx.globalAlpha = belowAlpha(p);
+      drawPlanet(ctx, cx + p.x * scale, cy + p.y * scale, def, pos.retrograde);
+      hits.push({ key: id, ra: pos.ra, dec: pos.dec, x: cx + p.x * scale, y: cy + p.y * scale, r: def.size + 3 });
     });
+    ctx.globalAlpha = 1;
   }
 
   // Special points
   if (specials) {
     // Moon - keep visible
     if (specials.moon) {
-      const p = project(specials.moon.ra, specials.moon.dec, sunRA);
-      if (p) drawMoon(ctx, cx + p.x * scale, cy + p.y * scale, specials.moon.phase);
+      const m = specials.moon;
+      const p = bodyProj(m);
+      // Screen direction of the bright limb: project a point 0.5° along its
+      // position angle, so it follows the Sun whatever the projection
+      const chi = m.brightLimb * Math.PI / 180;
+      const o = proj(m.ra, m.dec);
+      const q = proj(m.ra + 0.5 * Math.sin(chi) / Math.cos(m.dec * Math.PI / 180),
+                     m.dec + 0.5 * Math.cos(chi));
+      if (p && o && q) {
+        ctx.globalAlpha = belowAlpha(p);
+        drawMoon(ctx, cx + p.x * scale, cy + p.y * scale, m,
+                 Math.atan2(q.y - o.y, q.x - o.x));
+        ctx.globalAlpha = 1;
+        hits.push({ key: 'moon', ra: m.ra, dec: m.dec, x: cx + p.x * scale, y: cy + p.y * scale, r: 12 });
+      }
     }
-    
-    // Other special points - HIDDEN for now (keep code for later)
-    /*
+
     ['lilith', 'northNode', 'chiron'].forEach(key => {
       if (!specials[key]) return;
-      const p = project(specials[key].ra, specials[key].dec, sunRA);
-      if (p) drawSpecialPoint(ctx, cx + p.x * scale, cy + p.y * scale, SPECIALS[key]);
+      const p = proj(specials[key].ra, specials[key].dec);
+      if (!p) return;
+      ctx.globalAlpha = belowAlpha(p);
+      drawSpecialPoint(ctx, cx + p.x * scale, cy + p.y * scale, SPECIALS[key]);
+      ctx.globalAlpha = 1;
+      hits.push({ key, ra: specials[key].ra, dec: specials[key].dec,
+                  x: cx + p.x * scale, y: cy + p.y * scale, r: SPECIALS[key].size + 3 });
+    });
+  }
+
+  // Sun — drawn last, on top
+  const sunProj = bodyProj({ ra: sunRA, dec: sunDec, altAz: horizon && horizon.sun });
+  if (sunProj) ctx.globalAlpha = belowAlpha(sunProj);
+  if (sunProj) {
+    drawSun(ctx, cx + sunProj.x * scale, cy + sunProj.y * scale);
+    hits.push({ key: 'sun', ra: sunRA, dec: sunDec, x: cx + sunProj.x * scale, y: cy + sunProj.y * scale, r: 14 });
+  }
+  ctx.globalAlpha = 1;
+  return hits;
+}
+
+// ─── Chart wheel ────────────────────────────────────────────────────────────
+// Classic natal wheel: zodiac ring, house cusps, body glyphs, aspect lines.
+// Ascendant on the left, longitude increasing counter-clockwise.
+
+// Spread glyph longitudes so neighbours sit at least `minSep`° apart
+// (stelliums). Returns display longitudes in input order.
+function spreadGlyphs(lons, minSep) {
+  const n = lons.length;
+  if (n < 2 || n * minSep >= 360) return lons.slice();
+  const order = lons.map((_, i) => i).sort((a, b) => lons[a] - lons[b]);
+  const pos   = order.map(i => lons[i]);
+  for (let iter = 0; iter < 100; iter++) {
+    let moved = false;
+    for (let k = 0; k < n; k++) {
+      const j   = (k + 1) % n;
+      const gap = ((pos[j] - pos[k]) % 360 + 360) % 360;
+      if (gap < minSep - 1e-6) {
+        const push = (minSep - gap) / 2;
+        pos[k] -= push;
+        pos[j] += push;
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+  const out = new Array(n);
+  order.forEach((i, k) => { out[i] = pos[k]; });
+  return out;
+}
+
+export function drawChartWheel(ctx, opts) {
+  const dpr = window.devicePixelRatio || 1;
+  const w   = ctx.canvas.width  / dpr;
+  const h   = ctx.canvas.height / dpr;
+  const { zodiac, cusps, angles, bodies = [], aspects = [] } = opts;
+  const toRad = d => d * Math.PI / 180;
+
+  // Leave room for the control bar at the bottom, as the star map does
+  const cx = w / 2;
+  const cy = h * 0.42;
+  const R  = Math.min(w * 0.46, h * 0.38);
+  const rZodiac = R * 0.84;    // inner edge of the zodiac ring
+  const rGlyph  = R * 0.70;    // body glyphs
+  const rInner  = R * 0.50;    // aspect circle
+
+  // Longitude → canvas angle / point
+  const theta = lon => Math.PI - toRad(lon - angles.asc);
+  const pt    = (lon, r) => [cx + r * Math.cos(theta(lon)), cy + r * Math.sin(theta(lon))];
+
+  ctx.clearRect(0, 0, w, h);
+  ctx.fillStyle = '#0a0a14';
+  ctx.fillRect(0, 0, w, h);
+
+  // Zodiac ring (12 signs or 13 unequal IAU segments)
+  zodiac.forEach((seg, i) => {
+    ctx.fillStyle = i % 2 ? 'rgba(212,175,55,0.05)' : 'rgba(212,175,55,0.11)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, R, theta(seg.from), theta(seg.to), true);
+    ctx.arc(cx, cy, rZodiac, theta(seg.to), theta(seg.from), false);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.strokeStyle = 'rgba(212,175,55,0.45)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(...pt(seg.from, rZodiac));
+    ctx.lineTo(...pt(seg.from, R));
+    ctx.stroke();
+
+    const [gx, gy] = pt((seg.from + seg.to) / 2, (R + rZodiac) / 2);
+    ctx.fillStyle = '#d4af37';
+    ctx.font = `${seg.symbol.length > 1 ? 11 : 16}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(seg.symbol, gx, gy);
+  });
+
+  // Ring outlines and 5° ticks
+  ctx.strokeStyle = 'rgba(212,175,55,0.45)';
+  ctx.lineWidth = 1;
+  [R, rZodiac, rInner].forEach(r => {
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  ctx.strokeStyle = 'rgba(212,175,55,0.3)';
+  for (let lon = 0; lon < 360; lon += 5) {
+    const len = lon % 10 === 0 ? 6 : 3;
+    ctx.beginPath();
+    ctx.moveTo(...pt(lon, rZodiac));
+    ctx.lineTo(...pt(lon, rZodiac - len));
+    ctx.stroke();
+  }
+
+  // House cusps and numbers; angles drawn heavier
+  if (cusps) {
+    cusps.forEach((c, i) => {
+      const isAngle = i % 3 === 0;
+      ctx.strokeStyle = isAngle ? 'rgba(244,228,183,0.8)' : 'rgba(212,175,55,0.3)';
+      ctx.lineWidth   = isAngle ? 1.5 : 1;
+      ctx.beginPath();
+      ctx.moveTo(...pt(c, rInner));
+      ctx.lineTo(...pt(c, rZodiac));
+      ctx.stroke();
+
+      const next = cusps[(i + 1) % 12];
+      const mid  = c + (((next - c) % 360 + 360) % 360) / 2;
+      const [nx, ny] = pt(mid, rInner + R * 0.05);
+      ctx.fillStyle = 'rgba(244,228,183,0.45)';
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(i + 1), nx, ny);
+    });
+  } else {
+    ctx.strokeStyle = 'rgba(244,228,183,0.8)';
+    ctx.lineWidth = 1.5;
+    [angles.asc, angles.mc].forEach(a => {
+      ctx.beginPath();
+      ctx.moveTo(...pt(a, rZodiac));
+      ctx.lineTo(...pt(a + 180, rZodiac));
+      ctx.stroke();
     });
-    */
   }
 
-  // Sun — drawn last, on top, always at center
-  if (sunProj) drawSun(ctx, cx + sunProj.x * scale, cy + sunProj.y * scale);
-}
\ No newline at end of file
+  // Axis labels just outside the ring
+  ctx.fillStyle = '#f4e4b7';
+  ctx.font = 'bold 11px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  [['AC', angles.asc], ['MC', angles.mc], ['DC', angles.asc + 180], ['IC', angles.mc + 180]]
+    .forEach(([label, lon]) => ctx.fillText(label, ...pt(lon, R + 14)));
+
+  // Aspect lines
+  ctx.globalAlpha = 0.75;
+  aspects.forEach(a => {
+    ctx.strokeStyle = a.color;
+    ctx.lineWidth = a.width ?? 1;
+    ctx.setLineDash(a.dashed ? [4, 4] : []);
+    ctx.beginPath();
+    ctx.moveTo(...pt(a.lon1, rInner));
+    ctx.lineTo(...pt(a.lon2, rInner));
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+  ctx.globalAlpha = 1;
+
+  // Bodies: true position tick, connector to the (spread) glyph, degree
+  const shown = spreadGlyphs(bodies.map(b => b.lon), 7);
+  bodies.forEach((b, i) => {
+    const color = b.def.color;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(...pt(b.lon, rZodiac));
+    ctx.lineTo(...pt(b.lon, rZodiac - 8));
+    ctx.lineTo(...pt(shown[i], rGlyph + 12));
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(...pt(b.lon, rInner), 2, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.font = 'bold 17px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(b.def.symbol, ...pt(shown[i], rGlyph));
+
+    ctx.font = '9px sans-serif';
+    ctx.fillStyle = 'rgba(244,228,183,0.7)';
+    ctx.fillText(`${Math.floor(((b.lon % 30) + 30) % 30)}°${b.retrograde ? '℞' : ''}`, ...pt(shown[i], rGlyph - 18));
+  });
+}
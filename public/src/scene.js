@@ -0,0 +1,250 @@
+// src/scene.js
+// Scenes for the star map canvas: everything a frame computes — placements,
+// chart points, houses, aspects, alt/az, trails, precession — followed by the
+// draw itself. A scene is the page's view state as plain data, so the same
+// code runs in the render worker or on the page.
+
+import {
+  getPlacements, getEclipticPoints, getNorthNode, getLilith, getChiron, getAltAz,
+  getSunPosition, getConstellation, getPrecessionMatrix, getObliquity,
+  getConstellationOutlines, getPlanetPath, getZodiacSegments, motionState, modelCovers,
+  BODY_KEYS, STATION_KEYS, CONSTELLATION_NAMES
+} from "./astronomy.js";
+import { drawStarMap, drawChartWheel, PLANETS, SPECIALS, LUMINARIES } from "./rendering.js";
+import { getHouses, getLocalSiderealTime } from "./houses.js";
+import { getAspects } from "./aspects.js";
+
+export const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+export function formatYear(year) {
+  return year <= 0 ? `${1 - year} BC` : String(year);
+}
+
+// Star and constellation-line catalog, set once loaded
+let catalog = null;
+
+export function setCatalog(stars, constellations) {
+  catalog = { stars, constellations };
+}
+
+// ─── Draw ───────────────────────────────────────────────────────────────────
+// Scene kinds, all carrying `time` (ms) and the camera, overlay and label
+// settings:
+//   sky        — the star map for the observer at `lat`/`lon`
+//   chart      — the chart wheel for the same view
+//   precession — the time machine frame: Sun and stars only
+// Returns { kind, hits }: the map's hover targets (none for the wheel), plus
+// for the time machine the frame's Sun as `ephemeris`: { time, sun, constId }.
+export function drawScene(ctx, scene) {
+  const { kind } = scene;
+  if (kind === "precession") {
+    const ephemeris = precessionEphemeris(scene);
+    return { kind, hits: drawMap(ctx, scene, precessionOptions(scene, ephemeris)), ephemeris };
+  }
+
+  const ephemeris = getEphemeris(scene);
+  if (kind === "chart") {
+    drawChartWheel(ctx, wheelOptions(scene, ephemeris));
+    return { kind, hits: [] };
+  }
+  return { kind, hits: drawMap(ctx, scene, skyOptions(scene, ephemeris)) };
+}
+
+function drawMap(ctx, scene, opts) {
+  if (!catalog) return [];
+  return drawStarMap(ctx, {
+    stars: catalog.stars,
+    constellations: catalog.constellations,
+    camera: scene.camera,
+    overlays: new Set(scene.overlays),
+    ...constellationLayers(scene),
+    ...opts
+  });
+}
+
+// ─── Ephemeris ──────────────────────────────────────────────────────────────
+// { time, placements, points, houses, aspects } for the view's `time`, `lat`,
+// `lon`, `nodeMode` and `houseSystem`. Only the bodies and points in
+// `bodies`, the ones switched on, are computed; `aspects` holds the
+// getAspects options. The last one is kept, so a frame and the panels for
+// the same moment share it.
+let lastEphemeris = null;
+
+export function getEphemeris(view) {
+  const { time, lat, lon, nodeMode, houseSystem, bodies, aspects } = view;
+  const key = JSON.stringify([time, lat, lon, nodeMode, houseSystem, bodies, aspects]);
+  if (lastEphemeris?.key !== key) {
+    const date = new Date(time);
+    const points = getEclipticPoints(date, nodeMode, bodies);
+    lastEphemeris = {
+      key,
+      ephemeris: {
+        time,
+        placements: getPlacements(date, BODY_KEYS.filter(k => bodies.includes(k))),
+        points,
+        houses: getHouses(date, lat, lon, houseSystem),
+        aspects: getAspects(points, aspects)
+      }
+    };
+  }
+  return lastEphemeris.ephemeris;
+}
+
+function precessionEphemeris(scene) {
+  const sun = getSunPosition(new Date(scene.time));
+  return { time: scene.time, sun, constId: getConstellation(sun.ra, sun.dec) };
+}
+
+const retrograde = (points, key) => STATION_KEYS.includes(key) &&
+  points.some(p => p.key === key && motionState(key, p.speed) === "retrograde");
+
+// Label/glyph/color for any chart point
+const pointDef = key => LUMINARIES[key] || PLANETS[key] || SPECIALS[key];
+
+// ─── Star map ───────────────────────────────────────────────────────────────
+function skyOptions(scene, { placements, points }) {
+  const date = new Date(scene.time);
+  const { sun } = placements;
+  const moon = { ...placements.moon };
+
+  const planets = {};
+  BODY_KEYS.slice(2).filter(p => placements[p]).forEach(p => {
+    planets[p] = { ...placements[p], retrograde: retrograde(points, p) };
+  });
+
+  const specials = {
+    moon,
+    lilith:    getLilith(date, scene.nodeMode),
+    northNode: getNorthNode(date, scene.nodeMode),
+    chiron:    getChiron(date),
+  };
+
+  const sunAltAz = getAltAz("sun", date, scene.lat, scene.lon);
+
+  // Horizon mode: topocentric alt/az for the Sun, Moon and planets (parallax
+  // matters for the Moon), the rest placed from RA/Dec and sidereal time
+  let horizon = null;
+  if (scene.horizon) {
+    horizon = { lat: scene.lat, sun: sunAltAz, lst: getLocalSiderealTime(date, scene.lon) };
+    moon.altAz = getAltAz("moon", date, scene.lat, scene.lon);
+    Object.keys(planets).forEach(p => {
+      planets[p].altAz = getAltAz(p, date, scene.lat, scene.lon);
+    });
+  }
+
+  return {
+    sunRA: sun.ra,
+    sunDec: sun.dec,
+    activeConstId: sun.constId,
+    moon, planets, specials, horizon,
+    obliquity: getObliquity(date),
+    altitude: sunAltAz.altitude,
+    trails: planetTrails(date, scene.trailMonths, Object.keys(planets)),
+    frame: getPrecessionMatrix(date)
+  };
+}
+
+function precessionOptions(scene, { sun, constId }) {
+  const date = new Date(scene.time);
+  return {
+    sunRA: sun.ra,
+    sunDec: sun.dec,
+    activeConstId: constId,
+    obliquity: getObliquity(date),
+    frame: getPrecessionMatrix(date)
+  };
+}
+
+// ─── Chart wheel ────────────────────────────────────────────────────────────
+// IAU segments move slowly with precession, so they're cached per year
+let iauSegments = null, iauSegmentsYear = null;
+
+function zodiacSegments(date, mode) {
+  if (mode === "tropical") return getZodiacSegments(date, "tropical");
+  const year = date.getUTCFullYear();
+  if (iauSegmentsYear !== year) {
+    iauSegments = getZodiacSegments(date, "iau");
+    iauSegmentsYear = year;
+  }
+  return iauSegments;
+}
+
+function wheelOptions(scene, { points, houses, aspects }) {
+  return {
+    zodiac: zodiacSegments(new Date(scene.time), scene.wheelZodiac),
+    cusps: houses.cusps,
+    angles: houses.angles,
+    bodies: points.map(p => ({
+      key: p.key, lon: p.lon, def: pointDef(p.key), retrograde: retrograde(points, p.key)
+    })),
+    aspects: aspects.map(a => ({
+      lon1: a.lon1, lon2: a.lon2,
+      color: a.aspect.color,
+      dashed: !a.aspect.major,
+      width: a.exactness > 0.75 ? 1.6 : 1
+    }))
+  };
+}
+
+// Boundary outlines and label text for the map, when either is switched on.
+// The names object is kept between frames: the star map reuses its cached
+// layer only while it is the same one.
+let labelNames = { mode: null, names: null };
+
+function constellationLayers({ constLabels, overlays }) {
+  if (labelNames.mode !== constLabels) {
+    labelNames = {
+      mode: constLabels,
+      names: constLabels === "none" ? null : Object.fromEntries(
+        Object.entries(CONSTELLATION_NAMES).map(([id, c]) => [id, constLabels === "full" ? c.name : id]))
+    };
+  }
+  const names = labelNames.names;
+  const outlines = names || overlays.includes("bounds") ? getConstellationOutlines() : null;
+  return { outlines, constNames: names };
+}
+
+// ─── Planet trails ──────────────────────────────────────────────────────────
+// Precomputed paths, reused while the date stays near their centre
+let trailCache = null;
+
+// Samples every two days plus each month start, which gets a date label
+function trailDates(centre, months) {
+  const from = new Date(centre), to = new Date(centre);
+  from.setUTCMonth(from.getUTCMonth() - months);
+  to.setUTCMonth(to.getUTCMonth() + months);
+
+  const dates = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += 2 * 86400000) dates.push({ date: new Date(t) });
+  const m = new Date(Date.UTC(2000, 0, 1));
+  m.setUTCFullYear(from.getUTCFullYear(), from.getUTCMonth() + 1, 1);
+  for (; m <= to; m.setUTCMonth(m.getUTCMonth() + 1)) {
+    const month = m.getUTCMonth();
+    dates.push({ date: new Date(m), label: month === 0 ? formatYear(m.getUTCFullYear()) : MONTHS[month] });
+  }
+  return dates.sort((a, b) => a.date - b.date);
+}
+
+// `months` is the half-window (0 = off)
+function planetTrails(date, months, keys) {
+  if (!months) return null;
+  const t = date.getTime();
+  const span = months * 30.4 * 86400000;
+  const keyList = keys.join();
+  if (!trailCache || trailCache.months !== months || trailCache.keys !== keyList ||
+      Math.abs(t - trailCache.centre) > span / 3) {
+    const dates = trailDates(date, months);
+    trailCache = {
+      centre: t, months, keys: keyList,
+      trails: keys.map(key => {
+        const covered = dates.filter(d => modelCovers(key, d.date));
+        return {
+          key,
+          path: getPlanetPath(key, covered.map(d => d.date))
+            .map((pt, i) => ({ ...pt, label: covered[i].label }))
+        };
+      })
+    };
+  }
+  return trailCache.trails;
+}
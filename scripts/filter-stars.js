@@ -1,5 +1,7 @@
 // scripts/filter-stars.js
-// One-time script. Downloads star data from d3-celestial, filters, outputs to public/data/
+// One-time script. Downloads star data and names from d3-celestial, the IAU boundary
+// table from CDS and minor-body orbital elements from JPL Horizons, filters,
+// outputs to public/data/
 // Usage: npm run filter
 
 import { writeFileSync } from "fs";
@@ -15,32 +17,178 @@ const ZODIAC = [
   "Cnc", "Leo", "Vir", "Lib", "Sco", "Oph", "Sgr"
 ];
 
-// Ecliptic is tilted 23.4° to celestial equator.
-// Keep stars within ±45° of ecliptic → dec range ≈ -68° to +68°
-const DEC_MIN = -68;
-const DEC_MAX = 68;
-
 const STARS_URL = "https://raw.githubusercontent.com/ofrohn/d3-celestial/master/data/stars.6.json";
+const NAMES_URL = "https://raw.githubusercontent.com/ofrohn/d3-celestial/master/data/starnames.json";
 const CONST_URL = "https://raw.githubusercontent.com/ofrohn/d3-celestial/master/data/constellations.lines.json";
+// IAU (Delporte) boundaries, B1875, as Roman's (1987) declination band table (CDS VI/42)
+const BOUNDS_URL = "https://cdsarc.cds.unistra.fr/ftp/VI/42/data.dat";
+
+// JPL Horizons: osculating heliocentric elements, J2000 ecliptic, every two
+// years 1900–2100. The app propagates a two-body orbit from the nearest epoch,
+// which stays within ~0.06° of the full integration for these bodies.
+const HORIZONS_URL = "https://ssd.jpl.nasa.gov/api/horizons.api";
+const ORBIT_BODIES = { chiron: "2060;", ceres: "1;", pallas: "2;", juno: "3;", vesta: "4;" };
+
+// All 88 IAU abbreviations, used to normalise the upper-case codes in data.dat
+const IAU = [
+  "And", "Ant", "Aps", "Aql", "Aqr", "Ara", "Ari", "Aur", "Boo", "CMa", "CMi",
+  "CVn", "Cae", "Cam", "Cap", "Car", "Cas", "Cen", "Cep", "Cet", "Cha", "Cir",
+  "Cnc", "Col", "Com", "CrA", "CrB", "Crt", "Cru", "Crv", "Cyg", "Del", "Dor",
+  "Dra", "Equ", "Eri", "For", "Gem", "Gru", "Her", "Hor", "Hya", "Hyi", "Ind",
+  "LMi", "Lac", "Leo", "Lep", "Lib", "Lup", "Lyn", "Lyr", "Men", "Mic", "Mon",
+  "Mus", "Nor", "Oct", "Oph", "Ori", "Pav", "Peg", "Per", "Phe", "Pic", "PsA",
+  "Psc", "Pup", "Pyx", "Ret", "Scl", "Sco", "Sct", "Ser", "Sex", "Sge", "Sgr",
+  "Tau", "Tel", "TrA", "Tri", "Tuc", "UMa", "UMi", "Vel", "Vir", "Vol", "Vul"
+];
+
+// data.dat rows: RA low (h), RA high (h), Dec low (°), constellation.
+// The first row (from the top) with decLo <= dec and raLo <= ra < raHi wins.
+function parseBands(text) {
+  const byUpper = Object.fromEntries(IAU.map(id => [id.toUpperCase(), id]));
+  return text.split("\n")
+    .map(line => line.trim().split(/\s+/))
+    .filter(cols => cols.length >= 4)
+    .map(([raLo, raHi, decLo, id]) => ({
+      raLo: +raLo, raHi: +raHi, decLo: +decLo, id: byUpper[id.toUpperCase()]
+    }));
+}
+
+// Rebuild closed boundary polygons from the band table. Every band edge is a
+// B1875 meridian or parallel, so the sky splits into a rectangular RA/Dec grid;
+// each cell is owned by one constellation, and the cell edges between different
+// owners chain into rings. Rings are cut at RA 0h/24h and run along Dec ±90°,
+// so a planar point-in-polygon test in (ra, dec) is exact.
+function bandsToPolygons(bands) {
+  const ras  = [...new Set([0, 24, ...bands.flatMap(b => [b.raLo, b.raHi])])].sort((a, b) => a - b);
+  const decs = [...new Set([-90, 90, ...bands.map(b => b.decLo)])].sort((a, b) => a - b);
+
+  const owner = (ra, dec) =>
+    bands.find(b => b.decLo <= dec && b.raLo <= ra && ra < b.raHi)?.id;
+
+  const grid = ras.slice(0, -1).map((ra, i) =>
+    decs.slice(0, -1).map((dec, j) =>
+      owner((ra + ras[i + 1]) / 2, (dec + decs[j + 1]) / 2)));
+  const at = (i, j) => grid[i]?.[j];
+
+  // Directed edges, counter-clockwise around each owner's cells
+  const edges = {};
+  const addEdge = (id, a, b) => (edges[id] ??= []).push([a, b]);
+  grid.forEach((col, i) => col.forEach((id, j) => {
+    const [r0, r1, d0, d1] = [ras[i], ras[i + 1], decs[j], decs[j + 1]];
+    if (at(i, j - 1) !== id) addEdge(id, [r0, d0], [r1, d0]);
+    if (at(i + 1, j) !== id) addEdge(id, [r1, d0], [r1, d1]);
+    if (at(i, j + 1) !== id) addEdge(id, [r1, d1], [r0, d1]);
+    if (at(i - 1, j) !== id) addEdge(id, [r0, d1], [r0, d0]);
+  }));
+
+  return Object.entries(edges).map(([id, list]) => {
+    const key = p => p.join(",");
+    const from = {};
+    list.forEach(e => (from[key(e[0])] ??= []).push(e));
+
+    const rings = [];
+    for (const first of list) {
+      if (first.used) continue;
+      const ring = [];
+      let e = first;
+      while (e && !e.used) {
+        e.used = true;
+        ring.push(e[0]);
+        e = from[key(e[1])].find(n => !n.used);
+      }
+      rings.push(simplifyRing(ring));
+    }
+
+    return {
+      type: "Feature",
+      id,
+      properties: { epoch: "B1875" },
+      geometry: {
+        type: "MultiPolygon",
+        // RA hours → degrees, rings closed as GeoJSON expects
+        coordinates: rings.map(r => {
+          const pts = r.map(([ra, dec]) => [round6(ra * 15), round6(dec)]);
+          return [[...pts, pts[0]]];
+        })
+      }
+    };
+  }).sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Drop vertices that sit in the middle of a straight meridian/parallel run
+function simplifyRing(ring) {
+  return ring.filter((p, i) => {
+    const prev = ring[(i + ring.length - 1) % ring.length];
+    const next = ring[(i + 1) % ring.length];
+    return !((prev[0] === p[0] && p[0] === next[0]) || (prev[1] === p[1] && p[1] === next[1]));
+  });
+}
+
+const round6 = x => Math.round(x * 1e6) / 1e6;
+
+function horizonsQuery(command) {
+  const params = {
+    format: "text", COMMAND: `'${command}'`, EPHEM_TYPE: "ELEMENTS",
+    CENTER: "'500@10'", REF_PLANE: "ECLIPTIC", REF_SYSTEM: "ICRF",
+    START_TIME: "'1900-01-01'", STOP_TIME: "'2100-01-01'", STEP_SIZE: "'730 d'",
+    OUT_UNITS: "AU-D", CSV_FORMAT: "YES", OBJ_DATA: "NO"
+  };
+  return `${HORIZONS_URL}?${new URLSearchParams(params)}`;
+}
+
+// CSV rows between $$SOE and $$EOE; the header line names the columns.
+// Returns [jd, a, e, i, node, peri, M] per epoch.
+function parseElements(text) {
+  const lines = text.split("\n");
+  const soe = lines.findIndex(l => l.startsWith("$$SOE"));
+  const eoe = lines.findIndex(l => l.startsWith("$$EOE"));
+  if (soe < 0 || eoe < 0) throw new Error("Unexpected Horizons response");
+  const header = lines.slice(0, soe).reverse().find(l => l.includes("JDTDB"));
+  const cols = header.split(",").map(c => c.trim());
+  const col = name => cols.indexOf(name);
+  return lines.slice(soe + 1, eoe).map(line => {
+    const v = line.split(",").map(x => x.trim());
+    return [
+      +v[col("JDTDB")], +(+v[col("A")]).toFixed(8), +(+v[col("EC")]).toFixed(8),
+      round6(+v[col("IN")]), round6(+v[col("OM")]), round6(+v[col("W")]), round6(+v[col("MA")])
+    ];
+  });
+}
 
 async function main() {
   console.log("Downloading stars.6.json...");
   const starsRaw = await (await fetch(STARS_URL)).json();
 
-  // stars.6.json is a GeoJSON FeatureCollection
-  const allStars = starsRaw.features;
-  console.log(`  Total stars: ${allStars.length}`);
-
-  const filtered = allStars.filter(f => {
-    const dec = f.geometry.coordinates[1];
-    return dec >= DEC_MIN && dec <= DEC_MAX;
-  });
-  console.log(`  After ecliptic filter (dec ${DEC_MIN}° to ${DEC_MAX}°): ${filtered.length}`);
+  // stars.6.json is a GeoJSON FeatureCollection. The whole sky is kept: the
+  // horizon view and free look can point anywhere, poles included.
+  const stars = starsRaw.features;
+  console.log(`  Total stars: ${stars.length}`);
 
-  starsRaw.features = filtered;
   writeFileSync(resolve(outDir, "stars.ecliptic.json"), JSON.stringify(starsRaw));
   console.log("  → public/data/stars.ecliptic.json");
 
+  // --- Star names ---
+  // starnames.json is keyed by HIP number, the same id stars.6.json uses.
+  // Kept: proper names and Bayer/Flamsteed/variable designations ("α Vir"),
+  // plus the HD number, for the stars in the catalog. d3-celestial has no
+  // Bright Star (HR) numbers, so HD is the second catalog id shown.
+  console.log("\nDownloading starnames.json...");
+  const namesRaw = await (await fetch(NAMES_URL)).json();
+  const kept  = new Set(stars.map(f => String(f.id)));
+  const names = {};
+  for (const [hip, n] of Object.entries(namesRaw)) {
+    if (!kept.has(hip) || !(n.name || n.desig)) continue;
+    names[hip] = {
+      name:  n.name || "",
+      desig: n.desig ? `${n.desig} ${n.c}` : "",
+      hd:    (n.hd || "").replace(/\D/g, "")
+    };
+  }
+  console.log(`  Named or designated stars kept: ${Object.keys(names).length}`);
+
+  writeFileSync(resolve(outDir, "starnames.json"), JSON.stringify(names));
+  console.log("  → public/data/starnames.json");
+
   // --- Constellations ---
   console.log("\nDownloading constellations.lines.json...");
   const constRaw = await (await fetch(CONST_URL)).json();
@@ -55,6 +203,33 @@ async function main() {
   writeFileSync(resolve(outDir, "constellations.zodiac.json"), JSON.stringify(constRaw));
   console.log("  → public/data/constellations.zodiac.json");
 
+  // --- Boundaries ---
+  console.log("\nDownloading IAU boundary table (VI/42 data.dat)...");
+  const bands = parseBands(await (await fetch(BOUNDS_URL)).text());
+  console.log(`  Bands: ${bands.length}`);
+
+  const bounds = bandsToPolygons(bands);
+  console.log(`  Constellation polygons: ${bounds.length}`);
+
+  writeFileSync(resolve(outDir, "constellations.bounds.json"),
+    JSON.stringify({ type: "FeatureCollection", features: bounds }));
+  console.log("  → public/data/constellations.bounds.json");
+
+  // --- Orbits ---
+  console.log("\nDownloading orbital elements from JPL Horizons...");
+  const orbits = {};
+  for (const [key, command] of Object.entries(ORBIT_BODIES)) {
+    orbits[key] = parseElements(await (await fetch(horizonsQuery(command))).text());
+    console.log(`  ${key}: ${orbits[key].length} epochs`);
+  }
+
+  writeFileSync(resolve(outDir, "orbits.json"), JSON.stringify({
+    frame: "heliocentric, J2000 ecliptic",
+    columns: ["jd", "a", "e", "i", "node", "peri", "M"],
+    bodies: orbits
+  }));
+  console.log("  → public/data/orbits.json");
+
   console.log("\nDone.");
 }
 
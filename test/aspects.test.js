@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getAspects, ASPECTS } from "../public/src/aspects.js";
+
+const pair = (lon1, lon2, extra = {}) => [{ key: "a", lon: lon1, ...extra.a }, { key: "b", lon: lon2, ...extra.b }];
+
+// ─── Aspect engine ──────────────────────────────────────────────────────────
+test("finds the aspect closest to exact, across 0°", () => {
+  const [trine] = getAspects(pair(10, 128));
+  assert.equal(trine.type, "trine");
+  assert.equal(trine.orb, 2);
+  assert.ok(Math.abs(trine.exactness - (1 - 2 / 7)) < 1e-12);
+
+  const [conj] = getAspects(pair(358, 3));
+  assert.equal(conj.type, "conjunction");
+  assert.equal(conj.separation, 5);
+
+  // 57° is inside the sextile orb (3°) and nothing else
+  assert.equal(getAspects(pair(0, 57))[0].type, "sextile");
+});
+
+test("each pair gets at most one aspect, and none outside every orb", () => {
+  // 40°: outside semi-sextile (2°) and semi-square (2°) orbs
+  assert.deepEqual(getAspects(pair(0, 40)), []);
+  // 44°: semi-square only
+  const list = getAspects(pair(0, 44));
+  assert.equal(list.length, 1);
+  assert.equal(list[0].type, "semiSquare");
+});
+
+test("orbs can be overridden or disabled, and minor aspects left out", () => {
+  assert.deepEqual(getAspects(pair(0, 95), { orbs: { square: 4 } }), []);
+  assert.equal(getAspects(pair(0, 95), { orbs: { square: 6 } })[0].type, "square");
+  assert.deepEqual(getAspects(pair(0, 150), { minor: false }), []);
+  assert.deepEqual(getAspects(pair(0, 0), { orbs: { conjunction: 0 } }), []);
+  assert.equal(Object.values(ASPECTS).filter(a => a.major).length, 5);
+});
+
+test("applying when the separation is closing on exact", () => {
+  // Faster body behind: a 2° conjunction closing
+  assert.equal(getAspects(pair(10, 12, { a: { speed: 1 }, b: { speed: 0.1 } }))[0].applying, true);
+  assert.equal(getAspects(pair(10, 12, { a: { speed: 0.1 }, b: { speed: 1 } }))[0].applying, false);
+  // Square at 92°: the gap growing is separating, closing is applying
+  assert.equal(getAspects(pair(0, 92, { a: { speed: 0 }, b: { speed: 1 } }))[0].applying, false);
+  assert.equal(getAspects(pair(92, 0, { a: { speed: 0 }, b: { speed: 1 } }))[0].applying, true);
+  assert.equal(getAspects(pair(0, 92))[0].applying, null);
+});
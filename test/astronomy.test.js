@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Astronomy, utc } from "./setup.js";
+import {
+  getConstellation, getPlacements, getPlanetPosition, getMoon, BODY_KEYS,
+  getConstellationIngresses, getSunPosition, getNorthNode, getLilith,
+  getChiron, getEclipticPoints, modelCovers
+} from "../public/src/astronomy.js";
+
+const FAR_DATES = [utc(-1500, 3, 15), utc(-499, 7, 1), utc(1, 1, 1), utc(1000, 10, 9),
+                   utc(2026, 5, 20), utc(3000, 12, 31)];
+const engineName = key => key[0].toUpperCase() + key.slice(1);
+const sunIn = date => {
+  const { ra, dec } = getSunPosition(date);
+  return Astronomy.Constellation(ra / 15, dec).symbol;
+};
+
+// ─── Constellation lookup ───────────────────────────────────────────────────
+test("getConstellation agrees with astronomy-engine across the sky", () => {
+  for (let dec = -85; dec <= 85; dec += 10) {
+    for (let ra = 3; ra < 360; ra += 15) {
+      assert.equal(getConstellation(ra, dec), Astronomy.Constellation(ra / 15, dec).symbol,
+                   `RA ${ra} Dec ${dec}`);
+    }
+  }
+});
+
+test("Moon and planets are J2000 RA/Dec at far-off dates", () => {
+  for (const date of FAR_DATES) {
+    const keys = ["moon", "mercury", "venus", "mars", "jupiter", "saturn", "uranus", "neptune", "pluto"];
+    for (const key of keys.filter(k => modelCovers(k, date))) {
+      const pos = key === "moon" ? getMoon(date) : getPlanetPosition(key, date);
+      const eq  = Astronomy.EquatorFromVector(Astronomy.GeoVector(engineName(key), date, false));
+      assert.ok(Math.abs(pos.ra - eq.ra * 15) < 1e-6 && Math.abs(pos.dec - eq.dec) < 1e-6,
+                `${key} at ${date.toISOString()}`);
+      assert.equal(getConstellation(pos.ra, pos.dec),
+                   Astronomy.Constellation(eq.ra, eq.dec).symbol, `${key} at ${date.toISOString()}`);
+    }
+  }
+});
+
+test("getPlacements puts every body in the constellation it occupies", () => {
+  for (const date of FAR_DATES) {
+    const placements = getPlacements(date);
+    for (const key of BODY_KEYS.filter(k => modelCovers(k, date))) {
+      const { ra, dec, constId } = placements[key];
+      assert.equal(constId, Astronomy.Constellation(ra / 15, dec).symbol, `${key} at ${date.toISOString()}`);
+    }
+  }
+});
+
+// ─── Model coverage ─────────────────────────────────────────────────────────
+test("Pluto, Chiron and the asteroids are n/a outside their models' dates", () => {
+  assert.equal(getPlanetPosition("pluto", utc(-499, 7, 1)), null);
+  assert.equal(getPlanetPosition("ceres", utc(1850)), null);
+  assert.equal(getChiron(utc(2150)), null);
+  assert.ok(getPlanetPosition("pluto", utc(100)) && getPlanetPosition("ceres", utc(1950)) && getChiron(utc(2050)));
+
+  const date = utc(-499, 7, 1);
+  const placements = getPlacements(date);
+  assert.equal(placements.pluto, null);
+  assert.equal(placements.vesta, null);
+  assert.ok(placements.neptune);
+  const keys = getEclipticPoints(date).map(p => p.key);
+  for (const key of ["pluto", "chiron", "ceres", "pallas", "juno", "vesta"]) assert.ok(!keys.includes(key), key);
+  assert.ok(keys.includes("neptune") && keys.includes("lilith"));
+});
+
+test("placements and chart points cover only the bodies asked for", () => {
+  const date = utc(2026, 5, 20);
+  assert.deepEqual(Object.keys(getPlacements(date, ["sun", "moon", "mars"])), ["sun", "moon", "mars"]);
+  assert.deepEqual(getEclipticPoints(date, "true", ["sun", "mars", "northNode"]).map(p => p.key),
+                   ["sun", "mars", "northNode"]);
+});
+
+// ─── Sun's constellation ingresses ──────────────────────────────────────────
+test("getConstellationIngresses covers the year in thirteen constellations", () => {
+  const stays = getConstellationIngresses(2026);
+  assert.deepEqual(stays.map(s => s.constId),
+    ["Sgr", "Cap", "Aqr", "Psc", "Ari", "Tau", "Gem", "Cnc", "Leo", "Vir", "Lib", "Sco", "Oph", "Sgr"]);
+  for (let i = 0; i < stays.length; i++) {
+    const { constId, ingress, egress } = stays[i];
+    if (i > 0) assert.equal(ingress.getTime(), stays[i - 1].egress.getTime());
+    assert.equal(sunIn(new Date(ingress.getTime() + 60000)), constId, `${constId} ingress`);
+    assert.equal(sunIn(new Date(egress.getTime() - 60000)), constId, `${constId} egress`);
+  }
+  assert.ok(stays[0].ingress < utc(2026) && stays.at(-1).egress >= utc(2027));
+});
+
+// ─── Lunar node ─────────────────────────────────────────────────────────────
+test("the true node oscillates about the mean node by under 2°", () => {
+  for (let day = 0; day < 360; day += 15) {
+    const date = utc(2026, 1, 1 + day);
+    const diff = ((getNorthNode(date).lon - getNorthNode(date, "mean").lon + 540) % 360) - 180;
+    assert.ok(Math.abs(diff) < 2, date.toISOString());
+  }
+});
+
+test("osculating Lilith stays within 30° of mean Lilith", () => {
+  for (let day = 0; day < 360; day += 15) {
+    const date = utc(2026, 1, 1 + day);
+    const diff = ((getLilith(date).lon - getLilith(date, "mean").lon + 540) % 360) - 180;
+    assert.ok(Math.abs(diff) < 30, date.toISOString());
+  }
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { utc } from "./setup.js";
+import { getSolarEclipses, getLunarEclipses } from "../public/src/astronomy.js";
+
+const MADRID   = [40.42, -3.70];
+const HELSINKI = [60.17, 24.94];
+const minutesApart = (a, b) => Math.abs(a - b) / 60000;
+
+// ─── Eclipses ───────────────────────────────────────────────────────────────
+test("getSolarEclipses lists 2026's annular and total eclipses", () => {
+  const list = getSolarEclipses(utc(2026), utc(2027), ...MADRID);
+  assert.deepEqual(list.map(e => e.type), ["annular", "total"]);
+  assert.ok(minutesApart(list[0].peak, utc(2026, 2, 17, 12, 12)) < 5);
+  assert.ok(minutesApart(list[1].peak, utc(2026, 8, 12, 17, 46)) < 5);
+
+  // The Antarctic annular eclipse never reaches Europe; August's is total in Spain
+  assert.equal(list[0].visible, false);
+  assert.equal(list[0].local, null);
+  assert.equal(list[1].visible, true);
+  assert.ok(list[1].local.obscuration > 0.99);
+});
+
+test("getSolarEclipses gives partial local circumstances further from the track", () => {
+  const [, august] = getSolarEclipses(utc(2026), utc(2027), ...HELSINKI);
+  assert.equal(august.visible, true);
+  assert.ok(august.local.obscuration > 0.7 && august.local.obscuration < 0.9);
+});
+
+test("getLunarEclipses lists 2026's total and partial eclipses with visibility", () => {
+  const list = getLunarEclipses(utc(2026), utc(2027), ...HELSINKI);
+  assert.deepEqual(list.map(e => e.type), ["total", "partial"]);
+  assert.ok(minutesApart(list[0].peak, utc(2026, 3, 3, 11, 34)) < 5);
+  assert.ok(minutesApart(list[1].peak, utc(2026, 8, 28, 4, 13)) < 5);
+
+  // March's eclipse happens around Helsinki noon, with the Moon down
+  assert.equal(list[0].visible, false);
+  assert.equal(list[1].visible, true);
+  assert.ok(list[0].duration > 55 && list[0].duration < 62);
+});
+
+test("eclipse searches stay inside [from, to)", () => {
+  const from = utc(2026, 3, 1), to = utc(2026, 8, 20);
+  const all = [...getSolarEclipses(from, to, ...MADRID), ...getLunarEclipses(from, to, ...MADRID)];
+  assert.equal(all.length, 2);
+  assert.ok(all.every(e => e.peak >= from && e.peak < to));
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { utc } from "./setup.js";
+import { getAltAz, getAlmanac, getPlanetPosition, getPrecessionMatrix, rotateRaDec } from "../public/src/astronomy.js";
+import { getLocalSiderealTime } from "../public/src/houses.js";
+
+const toRad = d => d * Math.PI / 180;
+const toDeg = r => r * 180 / Math.PI;
+
+// ─── Horizon ────────────────────────────────────────────────────────────────
+test("getAltAz puts the June solstice Sun at 90° − φ + ε at local noon", () => {
+  const { altitude, azimuth } = getAltAz("sun", utc(2026, 6, 21, 12, 1), 51.5, -0.13);
+  assert.ok(Math.abs(altitude - (90 - 51.5 + 23.44)) < 0.1, String(altitude));
+  assert.ok(Math.abs(azimuth - 180) < 1);
+});
+
+// Same place from the J2000 position, precessed and turned to the horizon by
+// hand; agrees to within refraction, parallax and nutation
+test("getAltAz agrees with the J2000 position at a BC date", () => {
+  const [lat, lon] = [37.97, 23.72];
+  for (const hour of [0, 4, 8, 12, 16, 20]) {
+    const date = utc(-499, 6, 1, hour);
+    const pos  = getPlanetPosition("jupiter", date);
+    const { ra, dec } = rotateRaDec(getPrecessionMatrix(date), pos.ra, pos.dec);
+    const H = toRad(getLocalSiderealTime(date, lon) - ra), d = toRad(dec), phi = toRad(lat);
+    const alt = toDeg(Math.asin(Math.sin(phi) * Math.sin(d) + Math.cos(phi) * Math.cos(d) * Math.cos(H)));
+    if (alt < 20) continue;
+    assert.ok(Math.abs(getAltAz("jupiter", date, lat, lon).altitude - alt) < 0.1, `${hour}h`);
+  }
+});
+
+// ─── Rise, transit and set ──────────────────────────────────────────────────
+test("getAlmanac: rise, transit and set in order; midnight Sun in the north", () => {
+  const london = getAlmanac(utc(2026, 3, 20, 12), 51.5, -0.13);
+  const sun = london.bodies.find(b => b.key === "sun");
+  assert.ok(sun.rise.date < sun.transit.date && sun.transit.date < sun.set.date);
+  assert.ok(Math.abs(sun.transit.date - utc(2026, 3, 20, 12, 8)) < 5 * 60000);
+
+  const tromso = getAlmanac(utc(2026, 6, 21, 12), 69.65, 18.96);
+  const midsummer = tromso.bodies.find(b => b.key === "sun");
+  assert.equal(midsummer.always, "up");
+  assert.equal(tromso.twilight.civil.always, "above");
+});
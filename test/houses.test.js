@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { utc } from "./setup.js";
+import { getAngles, getHouses, getLocalSiderealTime, describePoint, HOUSE_SYSTEMS } from "../public/src/houses.js";
+
+const toRad = d => d * Math.PI / 180;
+const toDeg = r => r * 180 / Math.PI;
+const mod360 = d => ((d % 360) + 360) % 360;
+const near = (a, b, tol, msg) => assert.ok(Math.abs(mod360(a - b + 180) - 180) < tol, `${msg}: ${a} vs ${b}`);
+
+// Ecliptic longitude (latitude 0) → RA/Dec under obliquity eps
+function equatorial(lon, eps) {
+  const l = toRad(lon), e = toRad(eps);
+  return {
+    ra:  mod360(toDeg(Math.atan2(Math.sin(l) * Math.cos(e), Math.cos(l)))),
+    dec: toDeg(Math.asin(Math.sin(e) * Math.sin(l)))
+  };
+}
+
+const BIRTH = utc(1990, 7, 14, 9, 30);
+const LONDON = [51.5, -0.13];
+
+// ─── Sidereal time and angles ───────────────────────────────────────────────
+test("getLocalSiderealTime is GMST at J2000 plus east longitude", () => {
+  // GMST at 2000-01-01 12:00 UT is 280.46°; apparent differs by under 0.01°
+  near(getLocalSiderealTime(new Date(Date.UTC(2000, 0, 1, 12)), 0), 280.46, 0.01, "Greenwich");
+  near(getLocalSiderealTime(BIRTH, 24.94) - getLocalSiderealTime(BIRTH, 0), 24.94, 1e-9, "offset");
+});
+
+test("getAngles: the MC transits the meridian and the Ascendant rises in the east", () => {
+  for (const lat of [-45, 0, 35, 51.5, 64]) {
+    const a = getAngles(BIRTH, lat, LONDON[1]);
+    near(equatorial(a.mc, a.obliquity).ra, a.ramc, 1e-9, `MC at ${lat}`);
+
+    const { ra, dec } = equatorial(a.asc, a.obliquity);
+    const H = toRad(a.ramc - ra), d = toRad(dec), phi = toRad(lat);
+    const sinAlt = Math.sin(phi) * Math.sin(d) + Math.cos(phi) * Math.cos(d) * Math.cos(H);
+    assert.ok(Math.abs(sinAlt) < 1e-9, `ASC altitude at ${lat}`);
+    assert.ok(Math.sin(H) < 0, `ASC east of the meridian at ${lat}`);
+    near(a.dsc, a.asc + 180, 1e-9, "DSC");
+    near(a.ic, a.mc + 180, 1e-9, "IC");
+  }
+});
+
+// ─── House cusps ────────────────────────────────────────────────────────────
+test("every system starts at the Ascendant (or its sign) and runs in order", () => {
+  for (const system of Object.keys(HOUSE_SYSTEMS)) {
+    const { cusps, angles } = getHouses(BIRTH, ...LONDON, system);
+    assert.equal(cusps.length, 12, system);
+    if (system === "wholeSign") assert.equal(cusps[0], Math.floor(angles.asc / 30) * 30);
+    else near(cusps[0], angles.asc, 1e-9, `${system} cusp 1`);
+    for (let i = 0; i < 12; i++) {
+      const step = mod360(cusps[(i + 1) % 12] - cusps[i]);
+      assert.ok(step > 0 && step < 90, `${system} house ${i + 1} spans ${step}`);
+      near(cusps[(i + 6) % 12], cusps[i] + 180, 1e-9, `${system} opposite cusps`);
+    }
+  }
+});
+
+test("quadrant systems put cusp 10 on the MC; equal houses are 30° apart", () => {
+  for (const system of ["placidus", "koch", "porphyry", "campanus", "regiomontanus"]) {
+    const { cusps, angles } = getHouses(BIRTH, ...LONDON, system);
+    near(cusps[9], angles.mc, 1e-9, system);
+  }
+  const { cusps } = getHouses(BIRTH, ...LONDON, "equal");
+  cusps.forEach((c, i) => near(c, cusps[0] + 30 * i, 1e-9, `equal cusp ${i + 1}`));
+});
+
+test("Placidus cusps trisect their own semi-arcs", () => {
+  const lat = LONDON[0];
+  const { cusps, angles } = getHouses(BIRTH, ...LONDON, "placidus");
+  const semiArcs = lon => {
+    const { ra, dec } = equatorial(lon, angles.obliquity);
+    const ad = toDeg(Math.asin(Math.tan(toRad(lat)) * Math.tan(toRad(dec))));
+    return { ra, day: 90 + ad, night: 90 - ad };
+  };
+  // Houses 11 and 12: one and two thirds of the diurnal semi-arc east of the MC
+  [[11, 1 / 3], [12, 2 / 3]].forEach(([n, f]) => {
+    const { ra, day } = semiArcs(cusps[n - 1]);
+    near(ra - angles.ramc, f * day, 1e-5, `cusp ${n}`);
+  });
+  // Houses 2 and 3: two and one thirds of the nocturnal semi-arc before the IC
+  [[2, 2 / 3], [3, 1 / 3]].forEach(([n, f]) => {
+    const { ra, night } = semiArcs(cusps[n - 1]);
+    near(angles.ramc + 180 - ra, f * night, 1e-5, `cusp ${n}`);
+  });
+});
+
+test("Porphyry trisects the ecliptic between the angles", () => {
+  const { cusps, angles } = getHouses(BIRTH, ...LONDON, "porphyry");
+  const q = mod360(angles.asc - angles.mc) / 3;
+  near(cusps[10], angles.mc + q, 1e-9, "cusp 11");
+  near(cusps[11], angles.mc + 2 * q, 1e-9, "cusp 12");
+});
+
+test("quadrant systems return null cusps where they fail inside the polar circle", () => {
+  // Tromsø: over a day the MC degree is circumpolar at some hours
+  const tromso = [69.65, 18.96];
+  const hours = [0, 3, 6, 9, 12, 15, 18, 21].map(h => utc(2026, 1, 10, h));
+  for (const system of ["placidus", "koch"]) {
+    assert.ok(hours.some(date => getHouses(date, ...tromso, system).cusps === null), system);
+  }
+  hours.forEach(date => assert.equal(getHouses(date, ...tromso, "equal").cusps.length, 12));
+});
+
+// ─── Describe an ecliptic point ─────────────────────────────────────────────
+test("describePoint: the June solstice point left Gemini for Taurus in 1990", () => {
+  assert.equal(describePoint(90, utc(1950)).constId, "Gem");
+  assert.equal(describePoint(90, utc(2026)).constId, "Tau");
+  const p = describePoint(95.5, utc(2026));
+  assert.equal(p.sign.name, "Cancer");
+  assert.ok(Math.abs(p.degree - 5.5) < 1e-9);
+  assert.equal(describePoint(0, utc(2026)).constId, "Psc");
+});
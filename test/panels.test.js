@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { utc } from "./setup.js";
+import { computePanels } from "../public/src/panels.js";
+
+const view = (date, bodies) => ({
+  time: date.getTime(), lat: 60.17, lon: 24.94, nodeMode: "true", houseSystem: "placidus",
+  bodies, aspects: { minor: false }, sidereal: null, almanac: true
+});
+
+// ─── Panels ─────────────────────────────────────────────────────────────────
+test("computePanels describes the view's moment, not the present", () => {
+  const panels = computePanels(view(utc(1950, 8, 1), ["sun", "moon", "mars"]));
+  assert.equal(panels.time, utc(1950, 8, 1).getTime());
+  assert.equal(panels.tropical.name, "Leo");
+  assert.equal(panels.calendar.year, 1950);
+  assert.deepEqual(Object.keys(panels.placements), ["sun", "moon", "mars"]);
+  assert.equal(panels.sidereal, null);
+});
+
+test("computePanels searches stations and the almanac only for the shown bodies", () => {
+  const panels = computePanels(view(utc(2026, 3, 1), ["sun", "moon", "mercury", "jupiter"]));
+  assert.deepEqual([...new Set(panels.stations.map(s => s.key))].sort(), ["jupiter", "mercury"]);
+  assert.deepEqual(panels.almanac.bodies.map(b => b.key), ["sun", "moon", "mercury", "jupiter"]);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Astronomy, utc } from "./setup.js";
+import {
+  getPrecessionMatrix, getObliquity, rotateRaDec, eclOfDateToJ2000, getMoon, getPlanetPosition
+} from "../public/src/astronomy.js";
+
+const J2000 = Date.UTC(2000, 0, 1, 12);
+const julianEpoch = year => new Date(J2000 + (year - 2000) * 365.25 * 86400000);
+
+function separation(a, b) {
+  const v = ({ ra, dec }) => Astronomy.VectorFromSphere(new Astronomy.Spherical(dec, ra, 1), new Astronomy.AstroTime(0));
+  return Astronomy.AngleBetween(v(a), v(b));
+}
+
+// ─── LTP precession ─────────────────────────────────────────────────────────
+test("getPrecessionMatrix matches SOFA iauLtp at 1666.666", () => {
+  const expected = [
+    [ 0.9967044141159213819,  0.7437801893193210840e-1,  0.3237624409345603401e-1],
+    [-0.7437802731819618167e-1, 0.9972293894454533070, -0.1205768842723593346e-2],
+    [-0.3237622482766575399e-1, -0.1206286039697609008e-2, 0.9994750246704010914]
+  ];
+  const m = getPrecessionMatrix(julianEpoch(1666.666));
+  m.forEach((row, i) => row.forEach((x, j) => assert.ok(Math.abs(x - expected[i][j]) < 1e-12, `[${i}][${j}]`)));
+});
+
+test("getObliquity is the IAU 2006 value at J2000", () => {
+  assert.ok(Math.abs(getObliquity(new Date(J2000)) - 84381.406 / 3600) < 1e-6);
+});
+
+test("rotateRaDec inverse undoes the rotation", () => {
+  const m = getPrecessionMatrix(utc(-3000));
+  const there = rotateRaDec(m, 123.4, -45.6);
+  const back  = rotateRaDec(m, there.ra, there.dec, true);
+  assert.ok(Math.abs(back.ra - 123.4) < 1e-9 && Math.abs(back.dec + 45.6) < 1e-9);
+});
+
+test("eclOfDateToJ2000 puts longitude 0 of date at the equinox of date", () => {
+  const date = utc(-499, 3, 21);
+  const j2000 = eclOfDateToJ2000(0, 0, date);
+  const ofDate = rotateRaDec(getPrecessionMatrix(date), j2000.ra, j2000.dec);
+  assert.ok(separation(ofDate, { ra: 0, dec: 0 }) < 1e-9);
+});
+
+// The star map precesses J2000 stars and bodies with the same matrix; bodies
+// must land where astronomy-engine puts them of date (within nutation, which
+// the mean frame leaves out), and stay put relative to the stars
+test("Moon and planets precess to their place of date at BC and future dates", () => {
+  for (const date of [utc(-3000, 6, 1), utc(-499, 6, 1), utc(1000, 6, 1), utc(4000, 6, 1)]) {
+    const m   = getPrecessionMatrix(date);
+    const rot = Astronomy.Rotation_EQJ_EQD(date);
+    for (const key of ["moon", "mars", "jupiter", "saturn"]) {
+      const pos  = key === "moon" ? getMoon(date) : getPlanetPosition(key, date);
+      const ours = rotateRaDec(m, pos.ra, pos.dec);
+      const name = key[0].toUpperCase() + key.slice(1);
+      const ref  = Astronomy.EquatorFromVector(Astronomy.RotateVector(rot, Astronomy.GeoVector(name, date, false)));
+      assert.ok(separation(ours, { ra: ref.ra * 15, dec: ref.dec }) < 0.02, `${key} at ${date.toISOString()}`);
+    }
+  }
+});
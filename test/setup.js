@@ -0,0 +1,29 @@
+// test/setup.js
+// The app modules read astronomy-engine from window.Astronomy, as the page's
+// script tag provides it; import this before them. Loads the boundary and
+// orbit data the way the page does after startup.
+
+import fs from "node:fs";
+import { createRequire } from "node:module";
+
+const Astronomy = createRequire(import.meta.url)("astronomy-engine");
+
+globalThis.window = { Astronomy, devicePixelRatio: 1 };
+
+const { setConstellationBounds, setOrbitalElements } = await import("../public/src/astronomy.js");
+
+const readData = name => JSON.parse(fs.readFileSync(new URL(`../public/data/${name}`, import.meta.url)));
+
+setConstellationBounds(readData("constellations.bounds.json").features.map(f => ({
+  id: f.id, polygons: f.geometry.coordinates
+})));
+setOrbitalElements(readData("orbits.json").bodies);
+
+export { Astronomy };
+
+// UTC date in any year, including BC (astronomical numbering)
+export function utc(year, month = 1, day = 1, hour = 0, minute = 0) {
+  const d = new Date(Date.UTC(2000, month - 1, day, hour, minute));
+  d.setUTCFullYear(year);
+  return d;
+}
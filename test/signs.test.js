@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { utc } from "./setup.js";
+import {
+  getTropicalSign, signFromLongitude, getSunPosition, getAyanamsa, getSiderealSign
+} from "../public/src/astronomy.js";
+
+const minutesApart = (a, b) => Math.abs(a - b) / 60000;
+
+// ─── Tropical sign ──────────────────────────────────────────────────────────
+test("signFromLongitude wraps and splits at 30° steps", () => {
+  assert.equal(signFromLongitude(0).name, "Aries");
+  assert.equal(signFromLongitude(29.999).name, "Aries");
+  assert.equal(signFromLongitude(30).name, "Taurus");
+  assert.equal(signFromLongitude(-1).name, "Pisces");
+  assert.equal(signFromLongitude(725).name, "Aries");
+});
+
+test("getTropicalSign follows the equinoxes and solstices of 2026", () => {
+  // March equinox 2026-03-20 14:46 UTC, June solstice 2026-06-21 08:24 UTC
+  assert.equal(getTropicalSign(utc(2026, 3, 20, 14, 30)).name, "Pisces");
+  const aries = getTropicalSign(utc(2026, 3, 20, 15, 0));
+  assert.equal(aries.name, "Aries");
+  assert.ok(minutesApart(aries.ingress, utc(2026, 3, 20, 14, 46)) < 2);
+  assert.equal(aries.egress.getUTCMonth(), 3);
+
+  const cancer = getTropicalSign(utc(2026, 7, 1));
+  assert.equal(cancer.name, "Cancer");
+  assert.ok(minutesApart(cancer.ingress, utc(2026, 6, 21, 8, 24)) < 2);
+  assert.ok(cancer.degree > 9 && cancer.degree < 10);
+});
+
+test("getTropicalSign ingress and egress bracket the date in BC years", () => {
+  const date = utc(-499, 8, 15);
+  const sign = getTropicalSign(date);
+  assert.ok(sign.ingress < date && date < sign.egress);
+  assert.ok((sign.egress - sign.ingress) / 86400000 > 29 && (sign.egress - sign.ingress) / 86400000 < 32);
+});
+
+// ─── Sidereal sign ──────────────────────────────────────────────────────────
+test("Lahiri ayanamsa grows by general precession", () => {
+  assert.ok(Math.abs(getAyanamsa(new Date(Date.UTC(2000, 0, 1, 12))) - 23.857092) < 1e-9);
+  const perCentury = getAyanamsa(utc(2100, 1, 1, 12)) - getAyanamsa(utc(2000, 1, 1, 12));
+  assert.ok(Math.abs(perCentury - 5028.8 / 3600) < 0.01);
+  assert.equal(getAyanamsa(utc(2026), "custom", 20) - getAyanamsa(utc(2026), "lahiri"),
+               20 - 23.857092);
+});
+
+test("getSiderealSign shifts the Sun back by the ayanamsa", () => {
+  const date = utc(2026, 4, 20);
+  const s = getSiderealSign(date);
+  assert.ok(Math.abs(((getSunPosition(date).lon - s.ayanamsa - s.lon) % 360 + 360) % 360) < 1e-9);
+  assert.equal(s.name, "Aries");
+});
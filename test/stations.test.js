@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { utc } from "./setup.js";
+import { getStations, motionState, STATION_KEYS } from "../public/src/astronomy.js";
+
+const hoursApart = (a, b) => Math.abs(a - b) / 3600000;
+
+// ─── Retrograde motion and stations ─────────────────────────────────────────
+test("motionState splits direct, stationary and retrograde", () => {
+  assert.equal(motionState("mars", 0.5), "direct");
+  assert.equal(motionState("mars", -0.3), "retrograde");
+  assert.equal(motionState("mars", 0.02), "stationary");
+  assert.equal(motionState("mars", -0.02), "stationary");
+});
+
+test("getStations finds Mercury's three 2026 retrogrades", () => {
+  const expected = [
+    ["retrograde", utc(2026, 2, 26, 7)], ["direct", utc(2026, 3, 20, 20)],
+    ["retrograde", utc(2026, 6, 29, 18)], ["direct", utc(2026, 7, 23, 23)],
+    ["retrograde", utc(2026, 10, 24, 7)], ["direct", utc(2026, 11, 13, 16)]
+  ];
+  const stations = getStations("mercury", utc(2026, 1, 1), utc(2027, 1, 1));
+  assert.equal(stations.length, expected.length);
+  stations.forEach((s, i) => {
+    assert.equal(s.type, expected[i][0]);
+    assert.ok(hoursApart(s.date, expected[i][1]) < 2, s.date.toISOString());
+  });
+});
+
+// The last grid step is cut short at `to`: Mercury's station of 26 Feb 2026
+// falls inside the 22–27 Feb step but after the range
+test("getStations stays within the requested range", () => {
+  assert.deepEqual(getStations("mercury", utc(2026, 2, 2), utc(2026, 2, 25)), []);
+  const [s] = getStations("mercury", utc(2026, 2, 2), utc(2026, 2, 27));
+  assert.ok(hoursApart(s.date, utc(2026, 2, 26, 7)) < 2, s.date.toISOString());
+});
+
+// Element sets switch every two years; a switch must not show up as a
+// station pair minutes apart
+test("Chiron and Ceres stations alternate with real retrograde spans, 1900–2100", () => {
+  for (const key of ["chiron", "ceres"]) {
+    const stations = getStations(key, utc(1900), utc(2100));
+    for (let i = 1; i < stations.length; i++) {
+      assert.notEqual(stations[i].type, stations[i - 1].type, `${key} ${stations[i].date.toISOString()}`);
+      const days = (stations[i].date - stations[i - 1].date) / 86400000;
+      assert.ok(days > 60, `${key} ${stations[i - 1].type} lasting ${days.toFixed(2)} days at ${stations[i - 1].date.toISOString()}`);
+    }
+  }
+});
+
+// The stations table searches ±213 days around the date for every body; at
+// ancient dates Pluto and the minor bodies are outside their models and skipped
+test("stations around an ancient date come back quickly", () => {
+  const span = 213 * 86400000;
+  for (const year of [-4999, -499]) {
+    const centre = utc(year, 6, 1).getTime();
+    const started = performance.now();
+    const stations = STATION_KEYS.flatMap(key => getStations(key, new Date(centre - span), new Date(centre + span)));
+    const ms = performance.now() - started;
+    assert.ok(ms < 2000, `${year}: ${ms.toFixed(0)} ms`);
+    assert.ok(stations.some(s => s.key === "mercury"));
+    assert.ok(!stations.some(s => s.key === "pluto" || s.key === "chiron" || s.key === "ceres"));
+  }
+});